@@ -0,0 +1,100 @@
+/**
+ * Threshold evaluation for asset telemetry - shared by buildingAssetMap and predictiveMaintenance
+ *
+ * A reading's direction says which limit is dangerous:
+ *   high - above maxThreshold is critical (temperature, utilization, errors)
+ *   low  - below minThreshold is critical (battery health, fuel level, uptime)
+ *   both - outside either limit is critical (voltage, pressure, optical power)
+ * A reading within the warning band of a dangerous limit (10% of the min-max range by default) is a
+ * warning. The direction and band come from the reading, else the direction is guessed from an unambiguous
+ * attribute name (DIRECTION_RULES). A reading with neither is checked against both limits without a warning band.
+ */
+
+export const THRESHOLD_STATUS = {
+    NORMAL: 'normal',
+    WARNING: 'warning',
+    CRITICAL: 'critical'
+};
+
+export const THRESHOLD_DIRECTION = {
+    HIGH: 'high',
+    LOW: 'low',
+    BOTH: 'both'
+};
+
+// Fraction of the min-max range
+export const DEFAULT_WARNING_BAND = 0.1;
+
+// Direction by attribute name for readings without one - whole words only, first match wins
+const DIRECTION_RULES = [
+    { pattern: /\b(voltage|humidity|pressure|optical power|fan speed|supply air|bias current)\b/i, direction: THRESHOLD_DIRECTION.BOTH },
+    { pattern: /\b(battery health|drive health|uptime|success rate|runtime remaining|fuel level|airflow|power factor|osnr)\b/i, direction: THRESHOLD_DIRECTION.LOW },
+    { pattern: /\b(temp|temperature|utilization|usage|used|load|insertion loss|packet loss|errors?|corrections?|latency|power draw|power consumption|breaker trips|charge cycles|run hours|dispersion)\b/i, direction: THRESHOLD_DIRECTION.HIGH }
+];
+
+const STATUS_DISPLAY = {
+    [THRESHOLD_STATUS.NORMAL]: { label: 'WITHIN THRESHOLD', icon: 'utility:success' },
+    [THRESHOLD_STATUS.WARNING]: { label: 'NEAR THRESHOLD', icon: 'utility:warning' },
+    [THRESHOLD_STATUS.CRITICAL]: { label: 'OUT OF THRESHOLD', icon: 'utility:error' }
+};
+
+export function thresholdDirection(reading) {
+    return knownDirection(reading) || THRESHOLD_DIRECTION.BOTH;
+}
+
+// Direction set on the reading, else the one its name clearly implies - null when neither
+function knownDirection(reading) {
+    const direction = (reading.direction || '').toLowerCase();
+    if (Object.values(THRESHOLD_DIRECTION).includes(direction)) {
+        return direction;
+    }
+    const rule = DIRECTION_RULES.find(candidate => candidate.pattern.test(reading.name || ''));
+    return rule ? rule.direction : null;
+}
+
+/**
+ * Status of a reading { name, value, minThreshold, maxThreshold, direction, warningBand }
+ * warningBand is a fraction of the range (0.1 = 10%)
+ * Returns { status, direction, hasThresholds, percentage, label, icon }
+ */
+export function evaluateThreshold(reading) {
+    const knownSide = knownDirection(reading);
+    const direction = knownSide || THRESHOLD_DIRECTION.BOTH;
+    const { value, minThreshold, maxThreshold } = reading;
+    const hasThresholds = typeof value === 'number' && minThreshold != null && maxThreshold != null;
+    if (!hasThresholds) {
+        return withDisplay({ status: THRESHOLD_STATUS.NORMAL, direction, hasThresholds, percentage: 0 });
+    }
+
+    const range = maxThreshold - minThreshold;
+    // Without a known direction there is no telling which limit a reading is heading for - no near-threshold warning
+    const band = range > 0 && knownSide ? range * (reading.warningBand != null ? reading.warningBand : DEFAULT_WARNING_BAND) : 0;
+    const watchHigh = direction !== THRESHOLD_DIRECTION.LOW;
+    const watchLow = direction !== THRESHOLD_DIRECTION.HIGH;
+
+    let status = THRESHOLD_STATUS.NORMAL;
+    if ((watchHigh && value > maxThreshold) || (watchLow && value < minThreshold)) {
+        status = THRESHOLD_STATUS.CRITICAL;
+    } else if (band > 0 && ((watchHigh && value >= maxThreshold - band) || (watchLow && value <= minThreshold + band))) {
+        status = THRESHOLD_STATUS.WARNING;
+    }
+
+    const percentage = range > 0 ? Math.max(0, Math.min(100, ((value - minThreshold) / range) * 100)) : 100;
+    return withDisplay({ status, direction, hasThresholds, percentage });
+}
+
+// Limits as shown to the technician - only the dangerous side for one-directional readings
+export function formatThresholds(reading, direction = thresholdDirection(reading)) {
+    const unit = reading.unit ? ` ${reading.unit}` : '';
+    if (direction === THRESHOLD_DIRECTION.HIGH) {
+        return `Max ${reading.maxThreshold}${unit}`;
+    }
+    if (direction === THRESHOLD_DIRECTION.LOW) {
+        return `Min ${reading.minThreshold}${unit}`;
+    }
+    return `${reading.minThreshold} - ${reading.maxThreshold}${unit}`;
+}
+
+function withDisplay(result) {
+    return { ...result, ...STATUS_DISPLAY[result.status] };
+}
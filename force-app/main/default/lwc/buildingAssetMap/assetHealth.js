@@ -0,0 +1,94 @@
+/**
+ * Asset health derived from evaluated Asset Attribute readings
+ *
+ * Statuses, most severe first:
+ *   offline  - no readings, or none within OFFLINE_AFTER_MINUTES
+ *   critical - at least one reading out of threshold
+ *   warning  - at least one reading near a threshold
+ *   stale    - readings are within limits but some are older than STALE_AFTER_MINUTES
+ *   normal   - every reading is current and within limits
+ * Readings without a timestamp (e.g. demo data) count as current.
+ */
+import { THRESHOLD_STATUS } from 'c/assetThresholds';
+
+export const ASSET_HEALTH = {
+    NORMAL: 'normal',
+    WARNING: 'warning',
+    CRITICAL: 'critical',
+    STALE: 'stale',
+    OFFLINE: 'offline'
+};
+
+export const STALE_AFTER_MINUTES = 60;
+export const OFFLINE_AFTER_MINUTES = 24 * 60;
+
+// Label, badge, marker icon, and map popup color/symbol per status - in summary order
+const HEALTH_DISPLAY = {
+    [ASSET_HEALTH.NORMAL]: { label: 'Normal', badgeClass: 'slds-badge slds-theme_success', icon: null, color: '#16a34a', symbol: '✓' },
+    [ASSET_HEALTH.WARNING]: { label: 'Warning', badgeClass: 'slds-badge slds-theme_warning', icon: 'utility:warning', color: '#d97706', symbol: '⚠' },
+    [ASSET_HEALTH.CRITICAL]: { label: 'Critical', badgeClass: 'slds-badge slds-theme_error', icon: 'utility:error', color: '#dc2626', symbol: '⚠' },
+    [ASSET_HEALTH.STALE]: { label: 'Stale', badgeClass: 'slds-badge slds-theme_stale', icon: 'utility:clock', color: '#6b7280', symbol: '◷' },
+    [ASSET_HEALTH.OFFLINE]: { label: 'Offline', badgeClass: 'slds-badge slds-theme_offline', icon: 'utility:offline', color: '#4b5563', symbol: '✕' }
+};
+
+/**
+ * Health of an asset from its processed attributes ({ status, readingTimestamp })
+ * Returns { status, label, badgeClass, icon, color, symbol, reason }
+ */
+export function assetHealth(attributes, now = Date.now()) {
+    const readings = attributes || [];
+    if (!readings.length) {
+        return withDisplay(ASSET_HEALTH.OFFLINE, 'No telemetry received');
+    }
+
+    const ages = readings.map(reading =>
+        reading.readingTimestamp ? (now - new Date(reading.readingTimestamp).getTime()) / 60000 : 0);
+    const newestAge = Math.min(...ages);
+    if (newestAge > OFFLINE_AFTER_MINUTES) {
+        return withDisplay(ASSET_HEALTH.OFFLINE, `No readings for ${formatMinutes(newestAge)}`);
+    }
+
+    const critical = readings.filter(reading => reading.status === THRESHOLD_STATUS.CRITICAL).length;
+    if (critical) {
+        return withDisplay(ASSET_HEALTH.CRITICAL, `${critical} reading${critical === 1 ? '' : 's'} out of threshold`);
+    }
+    const warning = readings.filter(reading => reading.status === THRESHOLD_STATUS.WARNING).length;
+    if (warning) {
+        return withDisplay(ASSET_HEALTH.WARNING, `${warning} reading${warning === 1 ? '' : 's'} near threshold`);
+    }
+    const stale = ages.filter(age => age > STALE_AFTER_MINUTES).length;
+    if (stale) {
+        return withDisplay(ASSET_HEALTH.STALE, `${stale} reading${stale === 1 ? '' : 's'} older than ${formatMinutes(STALE_AFTER_MINUTES)}`);
+    }
+    return withDisplay(ASSET_HEALTH.NORMAL, 'All readings within threshold');
+}
+
+export function healthDisplay(status) {
+    return HEALTH_DISPLAY[status] || HEALTH_DISPLAY[ASSET_HEALTH.NORMAL];
+}
+
+/**
+ * Asset count per status for the summary pills - statuses without assets are left out, except normal
+ * Returns [{ status, label, count, pillClass }]
+ */
+export function summarizeHealth(assets) {
+    return Object.keys(HEALTH_DISPLAY)
+        .map(status => ({
+            status,
+            label: HEALTH_DISPLAY[status].label,
+            count: assets.filter(asset => asset.status === status).length,
+            pillClass: `status-pill ${status}`
+        }))
+        .filter(summary => summary.count > 0 || summary.status === ASSET_HEALTH.NORMAL);
+}
+
+function withDisplay(status, reason) {
+    return { status, ...HEALTH_DISPLAY[status], reason };
+}
+
+function formatMinutes(minutes) {
+    if (minutes < 60) return `${Math.floor(minutes)} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h`;
+    return `${Math.floor(hours / 24)} d`;
+}
@@ -1,15 +1,31 @@
 /**
- * Building Asset Map Component - Haven Enterprises Data Center
- * Displays GIS info and assets by floor for the Haven Enterprises Bellevue Data Center
+ * Building Asset Map Component
+ * Displays GIS info and assets by floor for the facility of the current Location,
+ * Work Order or Service Appointment (Building > Floor > Room > Rack Location hierarchy)
  * Digital Twin view with Asset Attributes for telemetry monitoring
  * For Field Service Mobile
+ *
+ * Demo Context: Shows the Haven Enterprises Bellevue Data Center when opened without a record
  */
-import { LightningElement, api, track } from 'lwc';
+import { LightningElement, api, wire, track } from 'lwc';
 import { CloseActionScreenEvent } from 'lightning/actions';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import getBuildingAssets from '@salesforce/apex/BuildingAssetMapController.getBuildingAssets';
 import createInspectionWorkPlan from '@salesforce/apex/BuildingAssetMapController.createInspectionWorkPlan';
-
-// Haven Enterprises Data Center - Bellevue facility (matches demo story)
+import saveAssetPositions from '@salesforce/apex/BuildingAssetMapController.saveAssetPositions';
+import getMapLayers from '@salesforce/apex/BuildingAssetMapController.getMapLayers';
+import { evaluateThreshold, formatThresholds, THRESHOLD_STATUS } from 'c/assetThresholds';
+import { ASSET_HEALTH, assetHealth, healthDisplay, summarizeHealth } from './assetHealth';
+import { buildRackElevations } from './rackElevation';
+import {
+    buildPlanMarkers, pointToPlanPosition, zoomAround, clampPan,
+    pointerDistance, pointerMidpoint, MIN_ZOOM, MAX_ZOOM, ZOOM_STEP
+} from './floorPlan';
+import { buildMapLayers, ASSETS_LAYER_ID } from './gisLayers';
+import { demoMapLayers } from './demoMapLayers';
+
+// Haven Enterprises Data Center - Bellevue facility (demo data when no Location is available)
 const HAVEN_DATA_CENTER = {
     name: 'Haven Enterprises - Bellevue Data Center',
     address: '10414 Beardslee Blvd, Bothell, WA 98011',
@@ -24,11 +40,19 @@ const HAVEN_DATA_CENTER = {
     coolingCapacity: '4,200 tons'
 };
 
+// Header while a record's building is loading, or when none is found
+const NO_LOCATION = { name: 'Building Asset Map', address: '' };
+
+// Asset markers are always offered as a layer, after the layers loaded from files
+const ASSETS_LAYER = {
+    id: ASSETS_LAYER_ID, name: 'Assets', visible: true, color: '#f97316', colorStyle: 'background-color: #f97316', type: 'marker', markers: []
+};
+
 export default class BuildingAssetMap extends LightningElement {
     @api recordId;
 
     // View state
-    @track activeView = 'floors'; // 'floors' or 'gis'
+    @track activeView = 'floors'; // 'floors', 'plan', 'racks' or 'gis'
     @track selectedFloor = '1';
     @track selectedAsset = null;
     @track showAssetDetail = false;
@@ -38,25 +62,153 @@ export default class BuildingAssetMap extends LightningElement {
     @track layerControlsExpanded = false; // Collapsed by default
     @track isMapMaximized = false; // Fullscreen map mode
 
-    // GIS Layer visibility - now controls actual map elements
-    @track gisLayers = [
-        { id: 'backbone', name: 'Fiber Backbone', visible: true, color: '#2563eb', colorStyle: 'background-color: #2563eb', type: 'line' },
-        { id: 'distribution', name: 'Distribution', visible: true, color: '#16a34a', colorStyle: 'background-color: #16a34a', type: 'line' },
-        { id: 'zones', name: 'Facility Zones', visible: true, color: '#7c3aed', colorStyle: 'background-color: #7c3aed', type: 'polygon' },
-        { id: 'assets', name: 'Assets', visible: true, color: '#f97316', colorStyle: 'background-color: #f97316', type: 'marker' }
-    ];
-
-    // Location (hardcoded to Haven Enterprises Bellevue DC)
-    location = HAVEN_DATA_CENTER;
+    // Floor plan - zoom/pan, and asset positions dragged while arranging (assetId -> { x, y })
+    @track planZoom = 1;
+    @track planPan = { x: 0, y: 0 };
+    @track isArrangingAssets = false;
+    @track isSavingPositions = false;
+    @track positionEdits = {};
+    canEditPositions = false;
+
+    // Pointers down on the floor plan and the drag, pan or pinch they make - not rendered
+    planPointers = new Map();
+    planGesture = null;
+
+    // GIS layers - GeoJSON/KML files on the building Location, then the asset markers
+    @track gisLayers = [ASSETS_LAYER];
+    // Layer files that could not be shown, with the reason
+    @track layerErrors = [];
+    mapLayerLocationId;
+
+    // Facility Location - loaded from the org, Haven Enterprises Bellevue DC in demo mode
+    @track location = NO_LOCATION;
+    @track isDemoData = false;
+
+    // Why no building is shown for the record - load error or nothing found
+    @track loadMessage = '';
+    // More Assets in the building than getBuildingAssets returns
+    @track isTruncated = false;
 
     // Assets organized by floor
     @track assetsByFloor = [];
 
     connectedCallback() {
-        this.loadHavenDataCenterAssets();
+        // Without a record context there is nothing to resolve a Location from
+        if (!this.recordId) {
+            this.loadHavenDataCenterAssets();
+        } else {
+            this.isLoading = true;
+        }
+    }
+
+    wiredBuildingResult;
+
+    @wire(getBuildingAssets, { recordId: '$recordId' })
+    wiredBuildingAssets(result) {
+        this.wiredBuildingResult = result;
+        // Demo data is only for the component opened without a record
+        if (!this.recordId) {
+            return;
+        }
+        const { data, error } = result;
+        if (data && data.floors && data.floors.length > 0) {
+            this.loadBuildingData(data);
+            this.isLoading = false;
+        } else if (error) {
+            console.error('Error loading building assets:', error);
+            this.showLoadMessage(`Building assets could not be loaded: ${error.body?.message || error.message}`);
+        } else if (data !== undefined) {
+            this.showLoadMessage(data
+                ? `No floors or assets found at ${data.location.name}.`
+                : 'No building Location found for this record. Set a Location on the Work Order to see its assets.');
+        }
+    }
+
+    showLoadMessage(message) {
+        this.loadMessage = message;
+        this.activeView = 'floors';
+        this.location = NO_LOCATION;
+        this.assetsByFloor = [];
+        this.isTruncated = false;
+        this.isLoading = false;
+    }
+
+    wiredMapLayersResult;
+
+    @wire(getMapLayers, { locationId: '$mapLayerLocationId' })
+    wiredMapLayers(result) {
+        this.wiredMapLayersResult = result;
+        const { data, error } = result;
+        if (data) {
+            this.setMapLayers(buildMapLayers(data));
+        } else if (error) {
+            console.error('Error loading map layers:', error);
+            this.setMapLayers([]);
+        }
+    }
+
+    // File layers keep the asset layer last and its visibility as the user left it
+    setMapLayers(layers) {
+        const assetsLayer = this.gisLayers.find(layer => layer.id === ASSETS_LAYER_ID) || ASSETS_LAYER;
+        this.gisLayers = [...layers.filter(layer => !layer.error), assetsLayer];
+        this.layerErrors = layers
+            .filter(layer => layer.error)
+            .map(layer => ({ id: layer.id, message: `${layer.name}: ${layer.error}` }));
+    }
+
+    // Map the Apex BuildingData wrapper onto the floor accordion structure
+    loadBuildingData(data) {
+        this.isDemoData = false;
+        this.loadMessage = '';
+        this.isTruncated = data.truncated === true;
+        this.mapLayerLocationId = data.location.id;
+        this.canEditPositions = data.canEditPositions === true;
+        this.location = {
+            ...data.location,
+            address: data.location.address || '',
+            buildingCode: data.location.buildingCode || data.location.locationType || ''
+        };
+        this.assetsByFloor = data.floors.map((floor, index) => ({
+            floor: floor.floor,
+            floorLabel: floor.floorLabel,
+            description: floor.description || '',
+            floorPlanUrl: floor.floorPlanUrl,
+            floorPlanName: floor.floorPlanName || floor.floorLabel,
+            isExpanded: index === 0,
+            assets: (floor.assets || []).map(asset => ({
+                ...asset,
+                // Asset.Status from the org - status itself is derived from the readings in processAssets
+                recordStatus: asset.status,
+                iconName: this.getAssetIcon(asset.type),
+                coordinates: asset.latitude != null ? `${asset.latitude}, ${asset.longitude}` : '',
+                // Asset Attribute readings - non-numeric values are shown as text without a gauge
+                attributes: (asset.attributes || []).map(reading => ({
+                    name: reading.name,
+                    value: reading.value != null ? reading.value : reading.textValue,
+                    minThreshold: reading.minThreshold,
+                    maxThreshold: reading.maxThreshold,
+                    unit: reading.unit || '',
+                    category: reading.category,
+                    direction: reading.direction,
+                    // Attribute Definitions hold the band as a percentage of the range
+                    warningBand: reading.warningBand != null ? reading.warningBand / 100 : null,
+                    readingTimestamp: reading.readingTimestamp
+                }))
+            }))
+        }));
+        // Stay on the selected floor when readings are refreshed
+        if (!this.assetsByFloor.some(floor => floor.floor === this.selectedFloor)) {
+            this.selectedFloor = this.assetsByFloor[0].floor;
+        }
+        this.processAssets();
     }
 
     loadHavenDataCenterAssets() {
+        this.isDemoData = true;
+        // Positions can be arranged in the demo but are only kept for the session
+        this.canEditPositions = true;
+        this.setMapLayers(buildMapLayers(demoMapLayers(HAVEN_DATA_CENTER.latitude, HAVEN_DATA_CENTER.longitude)));
+        this.location = HAVEN_DATA_CENTER;
         this.assetsByFloor = [
             {
                 floor: '1',
@@ -68,7 +220,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'haven-olt-001',
                         name: 'OLT-A01-001',
                         type: 'Optical Line Terminal',
-                        status: 'Active',
                         room: 'Network Core',
                         rack: 'NC-A01',
                         position: 'U1-U4',
@@ -77,8 +228,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'ISAM FX-16',
                         lastService: '2025-12-15',
                         iconName: 'standard:connected_apps',
-                        gisX: 120,
-                        gisY: 80,
+                        planX: 28,
+                        planY: 35,
                         coordinates: '47.7623, -122.1889',
                         attributes: [
                             { name: 'Temperature', value: 42, minThreshold: 10, maxThreshold: 65, unit: '°C', category: 'Environmental' },
@@ -93,7 +244,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'haven-olt-002',
                         name: 'OLT-A01-002',
                         type: 'Optical Line Terminal',
-                        status: 'Warning',
                         room: 'Network Core',
                         rack: 'NC-A01',
                         position: 'U5-U8',
@@ -102,8 +252,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'ISAM FX-16',
                         lastService: '2025-11-20',
                         iconName: 'standard:connected_apps',
-                        gisX: 120,
-                        gisY: 110,
+                        planX: 32,
+                        planY: 38,
                         coordinates: '47.7623, -122.1889',
                         attributes: [
                             { name: 'Temperature', value: 72, minThreshold: 10, maxThreshold: 65, unit: '°C', category: 'Environmental' }, // EXCEEDS - overheating
@@ -118,7 +268,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-002',
                         name: 'CORE-SW-001',
                         type: 'Core Switch',
-                        status: 'Active',
                         room: 'Network Core',
                         rack: 'NC-A01',
                         position: 'U5-U8',
@@ -127,8 +276,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'Nexus 9508',
                         lastService: '2025-11-20',
                         iconName: 'standard:data_streams',
-                        gisX: 120,
-                        gisY: 120,
+                        planX: 32,
+                        planY: 42,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Temperature', value: 38, minThreshold: 10, maxThreshold: 70, unit: '°C', category: 'Environmental' },
@@ -143,7 +292,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-003',
                         name: 'EDGE-RTR-001',
                         type: 'Edge Router',
-                        status: 'Active',
                         room: 'Network Core',
                         rack: 'NC-A02',
                         position: 'U1-U4',
@@ -152,8 +300,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'MX480',
                         lastService: '2025-10-05',
                         iconName: 'standard:flow',
-                        gisX: 180,
-                        gisY: 80,
+                        planX: 45,
+                        planY: 28,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Temperature', value: 45, minThreshold: 10, maxThreshold: 65, unit: '°C', category: 'Environmental' },
@@ -168,7 +316,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-004',
                         name: 'FDP-SEA-001',
                         type: 'Fiber Distribution Panel',
-                        status: 'Active',
                         room: 'MDF Room',
                         rack: 'MDF-01',
                         position: 'U1-U4',
@@ -177,8 +324,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'CCH-04U',
                         lastService: '2025-09-18',
                         iconName: 'standard:hierarchy',
-                        gisX: 60,
-                        gisY: 150,
+                        planX: 15,
+                        planY: 52,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Connected Fibers', value: 144, minThreshold: 1, maxThreshold: 288, unit: 'strands', category: 'Connectivity' },
@@ -199,7 +346,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-005',
                         name: 'DWDM-SEA-001',
                         type: 'DWDM System',
-                        status: 'Active',
                         room: 'Transport Room A',
                         rack: 'TR-A01',
                         position: 'U1-U10',
@@ -208,8 +354,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: '6500 T-Series',
                         lastService: '2026-01-10',
                         iconName: 'standard:calibration',
-                        gisX: 100,
-                        gisY: 100,
+                        planX: 52,
+                        planY: 38,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Active Wavelengths', value: 80, minThreshold: 1, maxThreshold: 96, unit: 'λ', category: 'Capacity' },
@@ -224,7 +370,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-006',
                         name: 'ROADM-SEA-001',
                         type: 'ROADM Node',
-                        status: 'Active',
                         room: 'Transport Room A',
                         rack: 'TR-A02',
                         position: 'U1-U6',
@@ -233,8 +378,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'DTN-X',
                         lastService: '2025-12-20',
                         iconName: 'standard:loop',
-                        gisX: 160,
-                        gisY: 100,
+                        planX: 62,
+                        planY: 45,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Add/Drop Channels', value: 16, minThreshold: 0, maxThreshold: 20, unit: 'channels', category: 'Capacity' },
@@ -248,7 +393,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-007',
                         name: 'OTN-SW-001',
                         type: 'OTN Switch',
-                        status: 'Warning',
                         room: 'Transport Room B',
                         rack: 'TR-B01',
                         position: 'U1-U8',
@@ -257,8 +401,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'OptiX OSN 9800',
                         lastService: '2025-08-15',
                         iconName: 'standard:network_contract',
-                        gisX: 100,
-                        gisY: 160,
+                        planX: 50,
+                        planY: 58,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Temperature', value: 68, minThreshold: 10, maxThreshold: 65, unit: '°C', category: 'Environmental' }, // EXCEEDS THRESHOLD
@@ -281,7 +425,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-008',
                         name: 'BLADE-SEA-001',
                         type: 'Blade Chassis',
-                        status: 'Active',
                         room: 'Compute Hall A',
                         rack: 'CH-A01',
                         position: 'U1-U10',
@@ -290,8 +433,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'PowerEdge MX7000',
                         lastService: '2025-12-01',
                         iconName: 'standard:apps',
-                        gisX: 80,
-                        gisY: 80,
+                        planX: 22,
+                        planY: 68,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Active Blades', value: 7, minThreshold: 1, maxThreshold: 8, unit: 'blades', category: 'Capacity' },
@@ -306,7 +449,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-009',
                         name: 'STORAGE-SEA-001',
                         type: 'Storage Array',
-                        status: 'Active',
                         room: 'Storage Vault',
                         rack: 'SV-01',
                         position: 'U1-U8',
@@ -315,8 +457,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'AFF A800',
                         lastService: '2025-11-15',
                         iconName: 'standard:record',
-                        gisX: 180,
-                        gisY: 80,
+                        planX: 72,
+                        planY: 32,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Capacity Used', value: 72, minThreshold: 0, maxThreshold: 85, unit: '%', category: 'Capacity' },
@@ -331,7 +473,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-010',
                         name: 'BACKUP-SEA-001',
                         type: 'Backup Appliance',
-                        status: 'Active',
                         room: 'Storage Vault',
                         rack: 'SV-02',
                         position: 'U1-U4',
@@ -340,8 +481,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'Backup Appliance',
                         lastService: '2025-10-20',
                         iconName: 'standard:file',
-                        gisX: 180,
-                        gisY: 140,
+                        planX: 78,
+                        planY: 55,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Backup Success Rate', value: 99.8, minThreshold: 98, maxThreshold: 100, unit: '%', category: 'Health' },
@@ -363,7 +504,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'haven-ups-001',
                         name: 'UPS-A01-001',
                         type: 'UPS System',
-                        status: 'Warning',
                         room: 'Power Room A',
                         rack: 'Floor Mount',
                         position: 'N/A',
@@ -372,8 +512,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: '93PM 500kVA',
                         lastService: '2025-08-22',
                         iconName: 'standard:lightning_usage',
-                        gisX: 60,
-                        gisY: 100,
+                        planX: 18,
+                        planY: 78,
                         coordinates: '47.7623, -122.1889',
                         attributes: [
                             { name: 'Load', value: 62, minThreshold: 0, maxThreshold: 80, unit: '%', category: 'Capacity' },
@@ -382,14 +522,13 @@ export default class BuildingAssetMap extends LightningElement {
                             { name: 'Input Voltage', value: 478, minThreshold: 456, maxThreshold: 504, unit: 'V', category: 'Power' },
                             { name: 'Output Voltage', value: 480, minThreshold: 470, maxThreshold: 490, unit: 'V', category: 'Power' },
                             { name: 'Battery Temp', value: 32, minThreshold: 15, maxThreshold: 35, unit: '°C', category: 'Environmental' }, // Elevated but OK
-                            { name: 'Runtime Remaining', value: 12, minThreshold: 10, maxThreshold: 60, unit: 'min', category: 'Health' } // Low but OK
+                            { name: 'Runtime Remaining', value: 12, minThreshold: 10, maxThreshold: 60, unit: 'min', category: 'Health' } // NEAR threshold
                         ]
                     },
                     {
                         id: 'sea-012',
                         name: 'PDU-SEA-001',
                         type: 'Power Distribution',
-                        status: 'Active',
                         room: 'Power Room A',
                         rack: 'PDU-01',
                         position: 'N/A',
@@ -398,8 +537,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'Galaxy VX',
                         lastService: '2025-09-10',
                         iconName: 'standard:metrics',
-                        gisX: 120,
-                        gisY: 100,
+                        planX: 35,
+                        planY: 72,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Total Load', value: 285, minThreshold: 0, maxThreshold: 400, unit: 'kW', category: 'Capacity' },
@@ -414,7 +553,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-013',
                         name: 'CRAC-SEA-001',
                         type: 'CRAC Unit',
-                        status: 'Warning',
                         room: 'Cooling Zone A',
                         rack: 'Floor Mount',
                         position: 'N/A',
@@ -423,8 +561,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'CRV 35kW',
                         lastService: '2025-07-15',
                         iconName: 'standard:environment_hub',
-                        gisX: 180,
-                        gisY: 100,
+                        planX: 68,
+                        planY: 75,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Supply Air Temp', value: 19, minThreshold: 15, maxThreshold: 22, unit: '°C', category: 'Environmental' },
@@ -439,7 +577,6 @@ export default class BuildingAssetMap extends LightningElement {
                         id: 'sea-014',
                         name: 'GEN-SEA-001',
                         type: 'Diesel Generator',
-                        status: 'Active',
                         room: 'Generator Yard',
                         rack: 'Outdoor',
                         position: 'N/A',
@@ -448,8 +585,8 @@ export default class BuildingAssetMap extends LightningElement {
                         model: 'C32 1250kW',
                         lastService: '2025-11-01',
                         iconName: 'standard:product_service_campaign',
-                        gisX: 60,
-                        gisY: 160,
+                        planX: 85,
+                        planY: 68,
                         coordinates: '47.6145, -122.3418',
                         attributes: [
                             { name: 'Fuel Level', value: 85, minThreshold: 25, maxThreshold: 100, unit: '%', category: 'Capacity' },
@@ -464,53 +601,62 @@ export default class BuildingAssetMap extends LightningElement {
             }
         ];
 
-        // Process attributes and add status class to each asset
+        this.selectedFloor = '1';
+        this.processAssets();
+    }
+
+    // Evaluate each asset's attributes and derive its health status from them
+    processAssets() {
+        const now = Date.now();
         this.assetsByFloor.forEach(floor => {
             floor.assets.forEach(asset => {
-                asset.statusClass = this.getStatusClass(asset.status);
-                // Process attributes to add status
-                if (asset.attributes) {
-                    asset.attributes = asset.attributes.map(attr => this.processAttribute(attr));
-                    asset.warningAttributes = asset.attributes.filter(a => a.status === 'warning' || a.status === 'critical');
-                    asset.hasWarnings = asset.warningAttributes.length > 0;
-                }
+                asset.attributes = (asset.attributes || []).map(attr => this.processAttribute(attr));
+                asset.warningAttributes = asset.attributes.filter(a => a.status !== THRESHOLD_STATUS.NORMAL);
+                asset.hasWarnings = asset.warningAttributes.length > 0;
+
+                const health = assetHealth(asset.attributes, now);
+                asset.status = health.status;
+                asset.statusLabel = health.label;
+                asset.statusClass = health.badgeClass;
+                asset.statusReason = health.reason;
             });
         });
     }
 
-    // Process an attribute to determine its status
+    // Process an attribute to determine its status - normal, warning (near a limit) or critical (past one)
+    // Readings without a numeric value or a threshold definition are shown as-is
     processAttribute(attr) {
-        let status = 'normal';
-        let statusClass = 'attr-normal';
-        let statusIcon = 'utility:success';
-
-        if (attr.value < attr.minThreshold) {
-            status = 'critical';
-            statusClass = 'attr-critical';
-            statusIcon = 'utility:error';
-        } else if (attr.value > attr.maxThreshold) {
-            status = 'warning';
-            statusClass = 'attr-warning';
-            statusIcon = 'utility:warning';
-        }
-
-        // Calculate percentage for gauge display
-        const range = attr.maxThreshold - attr.minThreshold;
-        let percentage = ((attr.value - attr.minThreshold) / range) * 100;
-        percentage = Math.max(0, Math.min(100, percentage));
+        const evaluation = evaluateThreshold(attr);
 
         return {
             ...attr,
-            status,
-            statusClass,
-            statusIcon,
-            percentage: percentage.toFixed(0),
-            gaugeStyle: `width: ${Math.min(percentage, 100)}%`,
+            status: evaluation.status,
+            direction: evaluation.direction,
+            statusClass: `attr-${evaluation.status}`,
+            statusIcon: evaluation.icon,
+            statusLabel: evaluation.label,
+            cardClass: `warning-card ${evaluation.status}`,
+            percentage: evaluation.percentage.toFixed(0),
+            gaugeStyle: `width: ${evaluation.percentage}%`,
             displayValue: this.formatValue(attr.value, attr.unit),
-            thresholdDisplay: `${attr.minThreshold} - ${attr.maxThreshold} ${attr.unit}`
+            thresholdDisplay: evaluation.hasThresholds ? formatThresholds(attr, evaluation.direction) : 'No threshold defined',
+            readingAge: this.formatReadingAge(attr.readingTimestamp)
         };
     }
 
+    // Age of the last known reading, e.g. '5 min ago'
+    formatReadingAge(timestamp) {
+        if (!timestamp) {
+            return '';
+        }
+        const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+        if (minutes < 1) return 'Just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} h ago`;
+        return `${Math.floor(hours / 24)} d ago`;
+    }
+
     formatValue(value, unit) {
         if (typeof value === 'number') {
             if (value >= 1000000) {
@@ -528,6 +674,14 @@ export default class BuildingAssetMap extends LightningElement {
         return this.activeView === 'floors';
     }
 
+    get isPlanView() {
+        return this.activeView === 'plan';
+    }
+
+    get isRacksView() {
+        return this.activeView === 'racks';
+    }
+
     get isGisView() {
         return this.activeView === 'gis';
     }
@@ -536,6 +690,14 @@ export default class BuildingAssetMap extends LightningElement {
         return this.activeView === 'floors' ? 'brand' : 'neutral';
     }
 
+    get planButtonVariant() {
+        return this.activeView === 'plan' ? 'brand' : 'neutral';
+    }
+
+    get racksButtonVariant() {
+        return this.activeView === 'racks' ? 'brand' : 'neutral';
+    }
+
     get gisButtonVariant() {
         return this.activeView === 'gis' ? 'brand' : 'neutral';
     }
@@ -544,14 +706,15 @@ export default class BuildingAssetMap extends LightningElement {
         return this.assetsByFloor.reduce((sum, floor) => sum + floor.assets.length, 0);
     }
 
-    get activeAssetCount() {
-        return this.assetsByFloor.reduce((sum, floor) =>
-            sum + floor.assets.filter(a => a.status === 'Active').length, 0);
+    get truncatedMessage() {
+        return this.isTruncated
+            ? `Only the first ${this.totalAssetCount} assets in this building are shown.`
+            : '';
     }
 
-    get warningAssetCount() {
-        return this.assetsByFloor.reduce((sum, floor) =>
-            sum + floor.assets.filter(a => a.status === 'Warning').length, 0);
+    // Asset count per health status for the banner pills
+    get statusSummary() {
+        return summarizeHealth(this.assetsByFloor.flatMap(floor => floor.assets));
     }
 
     get currentFloorAssets() {
@@ -563,64 +726,108 @@ export default class BuildingAssetMap extends LightningElement {
         return this.assetsByFloor.find(f => f.floor === this.selectedFloor);
     }
 
-    get floorOptions() {
-        return this.assetsByFloor.map(f => ({
-            label: f.floorLabel,
-            value: f.floor
-        }));
+    // Rack elevation diagrams for the racks on the selected floor
+    get rackElevations() {
+        return buildRackElevations(this.currentFloorAssets);
     }
 
-    get googleMapsUrl() {
-        return `https://www.google.com/maps?q=${this.location.latitude},${this.location.longitude}`;
+    get hasRackElevations() {
+        return this.rackElevations.length > 0;
     }
 
-    get arcgisMapUrl() {
-        return `https://www.arcgis.com/apps/mapviewer/index.html?center=${this.location.longitude},${this.location.latitude}&level=18`;
+    // Floor plan drawing for the selected floor - a file on the floor Location
+    get floorPlanUrl() {
+        return this.currentFloorInfo?.floorPlanUrl;
     }
 
-    // GIS Layer visibility getters
-    get showBackbone() {
-        return this.gisLayers.find(l => l.id === 'backbone')?.visible ?? true;
+    get floorPlanName() {
+        return this.currentFloorInfo?.floorPlanName;
     }
 
-    get showDistribution() {
-        return this.gisLayers.find(l => l.id === 'distribution')?.visible ?? true;
+    get planMarkerData() {
+        return buildPlanMarkers(this.currentFloorAssets, this.positionEdits, this.isArrangingAssets);
     }
 
-    get showDrop() {
-        return this.gisLayers.find(l => l.id === 'drop')?.visible ?? true;
+    get planMarkers() {
+        return this.planMarkerData.markers;
     }
 
-    get showSplice() {
-        return this.gisLayers.find(l => l.id === 'splice')?.visible ?? true;
+    get unplacedPlanMessage() {
+        const count = this.planMarkerData.unplaced.length;
+        if (!count) {
+            return '';
+        }
+        const assets = `${count} asset${count === 1 ? '' : 's'}`;
+        return this.isArrangingAssets
+            ? `${assets} without a position are lined up on the left - drag them into place.`
+            : `${assets} not placed on this plan.`;
     }
 
-    get showAssets() {
-        return this.gisLayers.find(l => l.id === 'assets')?.visible ?? true;
+    // Arranging and zoomed plans take over touch gestures; otherwise the page still scrolls over the plan
+    get planViewportClass() {
+        let viewportClass = 'plan-viewport';
+        if (this.isArrangingAssets) {
+            viewportClass += ' arranging';
+        }
+        if (this.planZoom > MIN_ZOOM) {
+            viewportClass += ' zoomed';
+        }
+        return viewportClass;
     }
 
-    // CSS class getters for SVG layer visibility
-    get backboneClass() {
-        return this.showBackbone ? 'layer-backbone' : 'layer-backbone layer-hidden';
+    get planCanvasStyle() {
+        return `transform: translate(${this.planPan.x}px, ${this.planPan.y}px) scale(${this.planZoom})`;
     }
 
-    get distributionClass() {
-        return this.showDistribution ? 'layer-distribution' : 'layer-distribution layer-hidden';
+    get planZoomLabel() {
+        return `${Math.round(this.planZoom * 100)}%`;
     }
 
-    get dropClass() {
-        return this.showDrop ? 'layer-drop' : 'layer-drop layer-hidden';
+    get isZoomOutDisabled() {
+        return this.planZoom <= MIN_ZOOM;
     }
 
-    get spliceClass() {
-        return this.showSplice ? 'layer-splice' : 'layer-splice layer-hidden';
+    get isZoomInDisabled() {
+        return this.planZoom >= MAX_ZOOM;
+    }
+
+    get showArrangeButton() {
+        return this.canEditPositions && !this.isArrangingAssets;
+    }
+
+    get isSavePositionsDisabled() {
+        return this.isSavingPositions || Object.keys(this.positionEdits).length === 0;
+    }
+
+    // Building code / tier / size line under the address - skips details the Location does not have
+    get locationDetails() {
+        const parts = [this.location.buildingCode, this.location.tierLevel];
+        if (this.location.totalSqFt) {
+            parts.push(`${this.location.totalSqFt} sq ft`);
+        }
+        return parts.filter(part => part).join(' | ');
+    }
+
+    get floorOptions() {
+        return this.assetsByFloor.map(f => ({
+            label: f.floorLabel,
+            value: f.floor
+        }));
+    }
+
+    get googleMapsUrl() {
+        return `https://www.google.com/maps?q=${this.location.latitude},${this.location.longitude}`;
+    }
+
+    get arcgisMapUrl() {
+        return `https://www.arcgis.com/apps/mapviewer/index.html?center=${this.location.longitude},${this.location.latitude}&level=18`;
     }
 
     // Get icon based on asset type
     getAssetIcon(assetType, status) {
-        // Warning assets get warning icon
-        if (status === 'Warning') {
-            return 'utility:warning';
+        // Assets that need attention get their status icon
+        if (status && status !== ASSET_HEALTH.NORMAL) {
+            return healthDisplay(status).icon;
         }
 
         const typeIconMap = {
@@ -659,202 +866,18 @@ export default class BuildingAssetMap extends LightningElement {
         markers.push({
             location: { Latitude: baseLat, Longitude: baseLng },
             title: this.location.name,
-            description: `<b>${this.location.buildingCode}</b><br/>${this.location.address}<br/>${this.location.tierLevel} | ${this.location.totalSqFt} sq ft`,
+            description: `<b>${this.location.name}</b><br/>${this.location.address}<br/>${this.locationDetails}`,
             icon: 'standard:location',
             value: 'data-center'
         });
 
-        // Add Fiber Backbone Lines (thick blue lines - main trunk)
-        if (this.isLayerVisible('backbone')) {
-            // Main east-west backbone
-            markers.push({
-                location: { Latitude: baseLat, Longitude: baseLng - 0.003 },
-                title: 'Fiber Backbone - Main Trunk',
-                description: '<b>96-Strand Single Mode Fiber</b><br/>Capacity: 9.6 Tbps<br/>Status: <span style="color:#16a34a">✓ Active</span>',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat + 0.0002, lng: baseLng - 0.003 },
-                    { lat: baseLat + 0.0002, lng: baseLng + 0.003 },
-                    { lat: baseLat - 0.0002, lng: baseLng + 0.003 },
-                    { lat: baseLat - 0.0002, lng: baseLng - 0.003 }
-                ],
-                strokeColor: '#2563eb',
-                strokeOpacity: 0.9,
-                strokeWeight: 6,
-                fillColor: '#2563eb',
-                fillOpacity: 0.3,
-                value: 'backbone-main'
-            });
-
-            // North-south backbone branch
-            markers.push({
-                location: { Latitude: baseLat + 0.002, Longitude: baseLng },
-                title: 'Fiber Backbone - N/S Branch',
-                description: '<b>48-Strand Single Mode Fiber</b><br/>Capacity: 4.8 Tbps<br/>Status: <span style="color:#16a34a">✓ Active</span>',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat + 0.003, lng: baseLng - 0.0002 },
-                    { lat: baseLat + 0.003, lng: baseLng + 0.0002 },
-                    { lat: baseLat - 0.002, lng: baseLng + 0.0002 },
-                    { lat: baseLat - 0.002, lng: baseLng - 0.0002 }
-                ],
-                strokeColor: '#2563eb',
-                strokeOpacity: 0.9,
-                strokeWeight: 5,
-                fillColor: '#2563eb',
-                fillOpacity: 0.3,
-                value: 'backbone-ns'
-            });
-        }
-
-        // Add Distribution Lines (green - connects to buildings)
-        if (this.isLayerVisible('distribution')) {
-            // Distribution to northwest
-            markers.push({
-                location: { Latitude: baseLat + 0.001, Longitude: baseLng - 0.0015 },
-                title: 'Distribution Fiber - NW Sector',
-                description: '<b>24-Strand Distribution</b><br/>Serving: Network Core<br/>Status: <span style="color:#16a34a">✓ Active</span>',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat, lng: baseLng },
-                    { lat: baseLat + 0.0015, lng: baseLng - 0.002 },
-                    { lat: baseLat + 0.0017, lng: baseLng - 0.0018 },
-                    { lat: baseLat + 0.0002, lng: baseLng + 0.0002 }
-                ],
-                strokeColor: '#16a34a',
-                strokeOpacity: 0.8,
-                strokeWeight: 4,
-                fillColor: '#16a34a',
-                fillOpacity: 0.2,
-                value: 'dist-nw'
-            });
-
-            // Distribution to northeast
-            markers.push({
-                location: { Latitude: baseLat + 0.001, Longitude: baseLng + 0.0015 },
-                title: 'Distribution Fiber - NE Sector',
-                description: '<b>24-Strand Distribution</b><br/>Serving: Transport/DWDM<br/>Status: <span style="color:#16a34a">✓ Active</span>',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat, lng: baseLng },
-                    { lat: baseLat + 0.0015, lng: baseLng + 0.002 },
-                    { lat: baseLat + 0.0017, lng: baseLng + 0.0018 },
-                    { lat: baseLat + 0.0002, lng: baseLng - 0.0002 }
-                ],
-                strokeColor: '#16a34a',
-                strokeOpacity: 0.8,
-                strokeWeight: 4,
-                fillColor: '#16a34a',
-                fillOpacity: 0.2,
-                value: 'dist-ne'
-            });
-
-            // Distribution to south
-            markers.push({
-                location: { Latitude: baseLat - 0.001, Longitude: baseLng },
-                title: 'Distribution Fiber - S Sector',
-                description: '<b>24-Strand Distribution</b><br/>Serving: Power/Cooling<br/>Status: <span style="color:#16a34a">✓ Active</span>',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat, lng: baseLng },
-                    { lat: baseLat - 0.002, lng: baseLng - 0.001 },
-                    { lat: baseLat - 0.002, lng: baseLng + 0.001 },
-                    { lat: baseLat, lng: baseLng }
-                ],
-                strokeColor: '#16a34a',
-                strokeOpacity: 0.8,
-                strokeWeight: 4,
-                fillColor: '#16a34a',
-                fillOpacity: 0.2,
-                value: 'dist-s'
-            });
-        }
-
-        // Add Facility Zone Polygons (purple - building areas)
-        if (this.isLayerVisible('zones')) {
-            // Main data center building footprint
-            markers.push({
-                location: { Latitude: baseLat, Longitude: baseLng },
-                title: 'Data Center - Main Building',
-                description: '<b>HAVEN-DC-01 Main Facility</b><br/>125,000 sq ft | Tier III<br/>4 Floors | 15 MW Power Capacity',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat + 0.0008, lng: baseLng - 0.001 },
-                    { lat: baseLat + 0.0008, lng: baseLng + 0.001 },
-                    { lat: baseLat - 0.0008, lng: baseLng + 0.001 },
-                    { lat: baseLat - 0.0008, lng: baseLng - 0.001 }
-                ],
-                strokeColor: '#7c3aed',
-                strokeOpacity: 0.9,
-                strokeWeight: 3,
-                fillColor: '#7c3aed',
-                fillOpacity: 0.15,
-                value: 'zone-main'
-            });
-
-            // Generator yard
-            markers.push({
-                location: { Latitude: baseLat - 0.0012, Longitude: baseLng - 0.0008 },
-                title: 'Generator Yard',
-                description: '<b>Backup Power Zone</b><br/>2x 1250kW Diesel Generators<br/>Fuel Storage: 10,000 gal',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat - 0.001, lng: baseLng - 0.0015 },
-                    { lat: baseLat - 0.001, lng: baseLng - 0.0005 },
-                    { lat: baseLat - 0.0016, lng: baseLng - 0.0005 },
-                    { lat: baseLat - 0.0016, lng: baseLng - 0.0015 }
-                ],
-                strokeColor: '#f59e0b',
-                strokeOpacity: 0.9,
-                strokeWeight: 2,
-                fillColor: '#f59e0b',
-                fillOpacity: 0.2,
-                value: 'zone-generator'
-            });
-
-            // Cooling plant area
-            markers.push({
-                location: { Latitude: baseLat - 0.0012, Longitude: baseLng + 0.0008 },
-                title: 'Cooling Plant',
-                description: '<b>HVAC Zone</b><br/>Capacity: 4,200 tons<br/>6x Chiller Units',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat - 0.001, lng: baseLng + 0.0005 },
-                    { lat: baseLat - 0.001, lng: baseLng + 0.0015 },
-                    { lat: baseLat - 0.0016, lng: baseLng + 0.0015 },
-                    { lat: baseLat - 0.0016, lng: baseLng + 0.0005 }
-                ],
-                strokeColor: '#0ea5e9',
-                strokeOpacity: 0.9,
-                strokeWeight: 2,
-                fillColor: '#0ea5e9',
-                fillOpacity: 0.2,
-                value: 'zone-cooling'
-            });
-
-            // Parking/staging area
-            markers.push({
-                location: { Latitude: baseLat + 0.0014, Longitude: baseLng },
-                title: 'Service Yard',
-                description: '<b>Staging & Parking</b><br/>Loading Docks: 4<br/>Service Vehicle Parking: 12 spaces',
-                type: 'Polygon',
-                paths: [
-                    { lat: baseLat + 0.001, lng: baseLng - 0.0012 },
-                    { lat: baseLat + 0.001, lng: baseLng + 0.0012 },
-                    { lat: baseLat + 0.0018, lng: baseLng + 0.0012 },
-                    { lat: baseLat + 0.0018, lng: baseLng - 0.0012 }
-                ],
-                strokeColor: '#6b7280',
-                strokeOpacity: 0.7,
-                strokeWeight: 2,
-                fillColor: '#6b7280',
-                fillOpacity: 0.1,
-                value: 'zone-parking'
-            });
-        }
+        // Layers from GeoJSON/KML files, in layer list order
+        this.gisLayers
+            .filter(layer => layer.visible && layer.id !== ASSETS_LAYER_ID)
+            .forEach(layer => markers.push(...layer.markers));
 
         // Add asset markers (if layer visible)
-        if (this.isLayerVisible('assets')) {
+        if (this.isLayerVisible(ASSETS_LAYER_ID)) {
             const assetOffsets = [
                 { id: 'haven-olt-001', latOff: 0.0006, lngOff: -0.0007 },
                 { id: 'haven-olt-002', latOff: 0.0005, lngOff: -0.0006 },
@@ -873,22 +896,31 @@ export default class BuildingAssetMap extends LightningElement {
                 { id: 'sea-014', latOff: -0.0014, lngOff: -0.0008 }
             ];
 
-            assetOffsets.forEach(offset => {
-                const asset = this.findAssetById(offset.id);
-                if (asset) {
+            this.assetsByFloor.forEach(floor => {
+                floor.assets.forEach(asset => {
+                    // Demo assets are offset from the building; org assets use their Location coordinates
+                    const offset = assetOffsets.find(o => o.id === asset.id);
+                    let position = null;
+                    if (asset.latitude != null && asset.longitude != null) {
+                        position = { Latitude: asset.latitude, Longitude: asset.longitude };
+                    } else if (offset) {
+                        position = { Latitude: baseLat + offset.latOff, Longitude: baseLng + offset.lngOff };
+                    }
+                    if (!position) {
+                        return;
+                    }
+
                     const assetIcon = this.getAssetIcon(asset.type, asset.status);
-                    const statusText = asset.status === 'Warning' ? '<span style="color:#dc2626"><b>⚠ Warning</b></span>' : '<span style="color:#16a34a">✓ Active</span>';
+                    const health = healthDisplay(asset.status);
+                    const statusText = `<span style="color:${health.color}"><b>${health.symbol} ${health.label}</b></span>`;
                     markers.push({
-                        location: {
-                            Latitude: baseLat + offset.latOff,
-                            Longitude: baseLng + offset.lngOff
-                        },
+                        location: position,
                         title: asset.name,
-                        description: `<b>${asset.type}</b><br/>${asset.room} | ${asset.rack}<br/>Status: ${statusText}`,
+                        description: `<b>${asset.type}</b><br/>${asset.room} | ${asset.rack}<br/>Status: ${statusText}<br/>${asset.statusReason}`,
                         icon: assetIcon,
                         value: asset.id
                     });
-                }
+                });
             });
         }
 
@@ -914,37 +946,6 @@ export default class BuildingAssetMap extends LightningElement {
         return this.isMapMaximized ? 'Minimize' : 'Maximize';
     }
 
-    // Legacy map assets for SVG overlay (kept for fiber network visualization)
-    get mapAssets() {
-        const assetPositions = [
-            { id: 'haven-olt-001', x: 28, y: 35, status: 'Active' },
-            { id: 'haven-olt-002', x: 32, y: 38, status: 'Warning' },
-            { id: 'sea-002', x: 32, y: 42, status: 'Active' },
-            { id: 'sea-003', x: 45, y: 28, status: 'Active' },
-            { id: 'sea-004', x: 15, y: 52, status: 'Active' },
-            { id: 'sea-005', x: 52, y: 38, status: 'Active' },
-            { id: 'sea-006', x: 62, y: 45, status: 'Active' },
-            { id: 'sea-007', x: 50, y: 58, status: 'Warning' },
-            { id: 'sea-008', x: 22, y: 68, status: 'Active' },
-            { id: 'sea-009', x: 72, y: 32, status: 'Active' },
-            { id: 'sea-010', x: 78, y: 55, status: 'Active' },
-            { id: 'haven-ups-001', x: 18, y: 78, status: 'Warning' },
-            { id: 'sea-012', x: 35, y: 72, status: 'Active' },
-            { id: 'sea-013', x: 68, y: 75, status: 'Warning' },
-            { id: 'sea-014', x: 85, y: 68, status: 'Active' }
-        ];
-
-        return assetPositions.map(pos => {
-            const asset = this.findAssetById(pos.id);
-            return {
-                ...pos,
-                name: asset?.name || pos.id,
-                positionStyle: `left: ${pos.x}%; top: ${pos.y}%`,
-                markerClass: pos.status === 'Warning' ? 'asset-marker warning' : 'asset-marker'
-            };
-        });
-    }
-
     findAssetById(assetId) {
         for (const floor of this.assetsByFloor) {
             const asset = floor.assets.find(a => a.id === assetId);
@@ -968,7 +969,7 @@ export default class BuildingAssetMap extends LightningElement {
                 };
             }
             groups[category].attributes.push(attr);
-            if (attr.status !== 'normal') {
+            if (attr.status !== THRESHOLD_STATUS.NORMAL) {
                 groups[category].hasWarning = true;
             }
         });
@@ -1008,15 +1009,158 @@ export default class BuildingAssetMap extends LightningElement {
         });
     }
 
-    handleMapAssetClick(event) {
-        const assetId = event.currentTarget.dataset.id;
-        const asset = this.findAssetById(assetId);
+    // Tapping a plan marker opens the asset - except while arranging, when markers are dragged
+    handlePlanMarkerClick(event) {
+        if (this.isArrangingAssets) {
+            return;
+        }
+        const asset = this.findAssetById(event.currentTarget.dataset.id);
         if (asset) {
             this.selectedAsset = { ...asset };
             this.showAssetDetail = true;
         }
     }
 
+    handlePlanPointerDown(event) {
+        this.planPointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+        if (this.planPointers.size === 2) {
+            // Second finger down - pinch to zoom
+            const [first, second] = [...this.planPointers.values()];
+            this.planGesture = { type: 'pinch', distance: pointerDistance(first, second) };
+            return;
+        }
+
+        const marker = event.target.closest('.asset-marker');
+        if (this.isArrangingAssets && marker) {
+            event.preventDefault();
+            this.planGesture = { type: 'drag', assetId: marker.dataset.id };
+        } else if (this.planZoom > MIN_ZOOM) {
+            this.planGesture = { type: 'pan', clientX: event.clientX, clientY: event.clientY };
+        }
+    }
+
+    handlePlanPointerMove(event) {
+        if (!this.planPointers.has(event.pointerId) || !this.planGesture) {
+            return;
+        }
+        this.planPointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY });
+        const viewport = this.template.querySelector('.plan-viewport').getBoundingClientRect();
+        const gesture = this.planGesture;
+
+        if (gesture.type === 'drag') {
+            const canvas = this.template.querySelector('.plan-canvas').getBoundingClientRect();
+            this.positionEdits = {
+                ...this.positionEdits,
+                [gesture.assetId]: pointToPlanPosition(event.clientX, event.clientY, canvas)
+            };
+        } else if (gesture.type === 'pan') {
+            this.planPan = clampPan({
+                x: this.planPan.x + event.clientX - gesture.clientX,
+                y: this.planPan.y + event.clientY - gesture.clientY
+            }, this.planZoom, viewport);
+            gesture.clientX = event.clientX;
+            gesture.clientY = event.clientY;
+        } else if (gesture.type === 'pinch') {
+            const [first, second] = [...this.planPointers.values()];
+            const distance = pointerDistance(first, second);
+            this.applyPlanZoom(this.planZoom * (distance / gesture.distance), pointerMidpoint(first, second, viewport), viewport);
+            gesture.distance = distance;
+        }
+    }
+
+    handlePlanPointerUp(event) {
+        this.planPointers.delete(event.pointerId);
+        // Lifting one finger of a pinch ends it rather than turning it into a pan
+        this.planGesture = null;
+    }
+
+    handleZoomIn() {
+        this.zoomPlanBy(ZOOM_STEP);
+    }
+
+    handleZoomOut() {
+        this.zoomPlanBy(-ZOOM_STEP);
+    }
+
+    handleZoomReset() {
+        this.planZoom = MIN_ZOOM;
+        this.planPan = { x: 0, y: 0 };
+    }
+
+    // Zoom buttons zoom around the middle of the plan
+    zoomPlanBy(step) {
+        const viewport = this.template.querySelector('.plan-viewport').getBoundingClientRect();
+        this.applyPlanZoom(this.planZoom + step, { x: viewport.width / 2, y: viewport.height / 2 }, viewport);
+    }
+
+    applyPlanZoom(zoom, point, viewport) {
+        const next = zoomAround(this.planPan, this.planZoom, zoom, point, viewport);
+        this.planZoom = next.zoom;
+        this.planPan = next.pan;
+    }
+
+    handleArrangeAssets() {
+        this.positionEdits = {};
+        this.isArrangingAssets = true;
+    }
+
+    handleCancelArrange() {
+        this.positionEdits = {};
+        this.isArrangingAssets = false;
+    }
+
+    async handleSavePositions() {
+        const positions = Object.entries(this.positionEdits).map(([assetId, position]) => ({
+            assetId,
+            x: position.x,
+            y: position.y
+        }));
+
+        if (this.isDemoData) {
+            this.applyPositionEdits();
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Positions Updated',
+                message: 'Demo data - positions are kept until the component is reloaded.',
+                variant: 'info'
+            }));
+            return;
+        }
+
+        this.isSavingPositions = true;
+        try {
+            await saveAssetPositions({ positions: JSON.stringify(positions) });
+            this.applyPositionEdits();
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Positions Saved',
+                message: `${positions.length} asset position${positions.length === 1 ? '' : 's'} saved`,
+                variant: 'success'
+            }));
+            refreshApex(this.wiredBuildingResult);
+        } catch (error) {
+            console.error('Error saving asset positions:', error);
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Error',
+                message: error.body?.message || 'Failed to save asset positions',
+                variant: 'error'
+            }));
+        } finally {
+            this.isSavingPositions = false;
+        }
+    }
+
+    // Copy the dragged positions onto the assets and leave arrange mode
+    applyPositionEdits() {
+        const edits = this.positionEdits;
+        this.assetsByFloor = this.assetsByFloor.map(floor => ({
+            ...floor,
+            assets: floor.assets.map(asset => (edits[asset.id]
+                ? { ...asset, planX: edits[asset.id].x, planY: edits[asset.id].y }
+                : asset))
+        }));
+        this.positionEdits = {};
+        this.isArrangingAssets = false;
+    }
+
     handleMarkerSelect(event) {
         const selectedMarkerValue = event.detail.selectedMarkerValue;
         if (selectedMarkerValue && selectedMarkerValue !== 'data-center') {
@@ -1030,6 +1174,7 @@ export default class BuildingAssetMap extends LightningElement {
 
     handleFloorChange(event) {
         this.selectedFloor = event.detail.value;
+        this.handleZoomReset();
     }
 
     handleFloorToggle(event) {
@@ -1087,7 +1232,9 @@ export default class BuildingAssetMap extends LightningElement {
                 minThreshold: attr.minThreshold,
                 maxThreshold: attr.maxThreshold,
                 unit: attr.unit,
-                category: attr.category
+                category: attr.category,
+                status: attr.status,
+                direction: attr.direction
             }));
 
             // Call Apex to create Work Plan
@@ -1118,6 +1265,19 @@ export default class BuildingAssetMap extends LightningElement {
         }
     }
 
+    handleRefresh() {
+        if (this.wiredBuildingResult && !this.isDemoData) {
+            this.isLoading = true;
+            const refreshes = [refreshApex(this.wiredBuildingResult)];
+            if (this.wiredMapLayersResult) {
+                refreshes.push(refreshApex(this.wiredMapLayersResult));
+            }
+            Promise.all(refreshes).finally(() => {
+                this.isLoading = false;
+            });
+        }
+    }
+
     handleClose() {
         this.dispatchEvent(new CloseActionScreenEvent());
     }
@@ -1129,17 +1289,4 @@ export default class BuildingAssetMap extends LightningElement {
     handleOpenArcGIS() {
         window.open(this.arcgisMapUrl, '_blank');
     }
-
-    getStatusClass(status) {
-        switch (status) {
-            case 'Active':
-                return 'slds-badge slds-theme_success';
-            case 'Warning':
-                return 'slds-badge slds-theme_warning';
-            case 'Inactive':
-                return 'slds-badge slds-theme_error';
-            default:
-                return 'slds-badge';
-        }
-    }
 }
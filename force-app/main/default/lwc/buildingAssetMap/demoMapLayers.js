@@ -0,0 +1,89 @@
+/**
+ * GIS layers for the demo facility, in the shape getMapLayers returns for GeoJSON files on a Location
+ * Coordinates are offsets from the facility so the network is drawn around it
+ */
+export function demoMapLayers(baseLat, baseLng) {
+    const point = (latOff, lngOff) => [baseLng + lngOff, baseLat + latOff];
+    const ring = (...offsets) => {
+        const points = offsets.map(([latOff, lngOff]) => point(latOff, lngOff));
+        return [[...points, points[0]]];
+    };
+    const feature = (type, coordinates, properties) => ({ type: 'Feature', geometry: { type, coordinates }, properties });
+
+    return [
+        {
+            id: 'demo-backbone',
+            name: 'Fiber Backbone',
+            fileType: 'geojson',
+            color: '#2563eb',
+            strokeWeight: 6,
+            popupFields: 'Fiber, Capacity, Status',
+            sortOrder: 1,
+            content: {
+                type: 'FeatureCollection',
+                features: [
+                    feature('LineString', [point(0, -0.003), point(0, 0.003)], {
+                        name: 'Fiber Backbone - Main Trunk', Fiber: '96-Strand Single Mode', Capacity: '9.6 Tbps', Status: 'Active'
+                    }),
+                    feature('LineString', [point(0.003, 0), point(-0.002, 0)], {
+                        name: 'Fiber Backbone - N/S Branch', Fiber: '48-Strand Single Mode', Capacity: '4.8 Tbps', Status: 'Active',
+                        'stroke-width': 5
+                    })
+                ]
+            }
+        },
+        {
+            id: 'demo-distribution',
+            name: 'Distribution',
+            fileType: 'geojson',
+            color: '#16a34a',
+            strokeWeight: 4,
+            popupFields: 'Fiber, Serving, Status',
+            sortOrder: 2,
+            content: {
+                type: 'FeatureCollection',
+                features: [
+                    feature('LineString', [point(0, 0), point(0.0016, -0.0019)], {
+                        name: 'Distribution Fiber - NW Sector', Fiber: '24-Strand Distribution', Serving: 'Network Core', Status: 'Active'
+                    }),
+                    feature('LineString', [point(0, 0), point(0.0016, 0.0019)], {
+                        name: 'Distribution Fiber - NE Sector', Fiber: '24-Strand Distribution', Serving: 'Transport/DWDM', Status: 'Active'
+                    }),
+                    feature('LineString', [point(0, 0), point(-0.002, 0)], {
+                        name: 'Distribution Fiber - S Sector', Fiber: '24-Strand Distribution', Serving: 'Power/Cooling', Status: 'Active'
+                    })
+                ]
+            }
+        },
+        {
+            id: 'demo-zones',
+            name: 'Facility Zones',
+            fileType: 'geojson',
+            color: '#7c3aed',
+            strokeWeight: 3,
+            fillOpacity: 0.15,
+            popupFields: 'Zone, Details',
+            sortOrder: 3,
+            content: {
+                type: 'FeatureCollection',
+                features: [
+                    feature('Polygon', ring([0.0008, -0.001], [0.0008, 0.001], [-0.0008, 0.001], [-0.0008, -0.001]), {
+                        name: 'Data Center - Main Building', Zone: 'HAVEN-DC-01 Main Facility', Details: '125,000 sq ft | Tier III | 4 Floors | 15 MW'
+                    }),
+                    feature('Polygon', ring([-0.001, -0.0015], [-0.001, -0.0005], [-0.0016, -0.0005], [-0.0016, -0.0015]), {
+                        name: 'Generator Yard', Zone: 'Backup Power', Details: '2x 1250kW Diesel Generators | Fuel Storage: 10,000 gal',
+                        stroke: '#f59e0b', 'stroke-width': 2, 'fill-opacity': 0.2
+                    }),
+                    feature('Polygon', ring([-0.001, 0.0005], [-0.001, 0.0015], [-0.0016, 0.0015], [-0.0016, 0.0005]), {
+                        name: 'Cooling Plant', Zone: 'HVAC', Details: 'Capacity: 4,200 tons | 6x Chiller Units',
+                        stroke: '#0ea5e9', 'stroke-width': 2, 'fill-opacity': 0.2
+                    }),
+                    feature('Polygon', ring([0.001, -0.0012], [0.001, 0.0012], [0.0018, 0.0012], [0.0018, -0.0012]), {
+                        name: 'Service Yard', Zone: 'Staging & Parking', Details: 'Loading Docks: 4 | Service Vehicle Parking: 12 spaces',
+                        stroke: '#6b7280', 'stroke-width': 2, 'fill-opacity': 0.1
+                    })
+                ]
+            }
+        }
+    ];
+}
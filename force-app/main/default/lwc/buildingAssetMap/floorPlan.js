@@ -0,0 +1,103 @@
+/**
+ * Floor plan geometry - asset markers, zoom and pan
+ *
+ * Asset positions are percentages of the plan's width and height (0-100), so they stay put
+ * whatever size the drawing is shown at. The plan is zoomed with a CSS transform:
+ * translate(pan) scale(zoom) with the origin at the top left corner.
+ */
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 4;
+export const ZOOM_STEP = 0.5;
+
+// Where assets without a position are lined up while arranging
+const STAGING_X = 4;
+const STAGING_TOP = 6;
+const STAGING_GAP = 7;
+
+/**
+ * Markers for a floor's assets - edits (assetId -> { x, y }) override the stored position
+ * Assets without a position are staged along the left edge when arranging, otherwise left off the plan
+ * Returns { markers: [{ id, name, x, y, style, markerClass }], unplaced: [{ id, name }] }
+ */
+export function buildPlanMarkers(assets, edits, arranging) {
+    const markers = [];
+    const unplaced = [];
+    (assets || []).forEach(asset => {
+        let position = edits[asset.id] || storedPosition(asset);
+        if (!position) {
+            const stagingIndex = unplaced.length;
+            unplaced.push({ id: asset.id, name: asset.name });
+            if (!arranging) {
+                return;
+            }
+            position = { x: STAGING_X, y: Math.min(100 - STAGING_TOP, STAGING_TOP + stagingIndex * STAGING_GAP) };
+        }
+        markers.push({
+            id: asset.id,
+            name: asset.name,
+            x: position.x,
+            y: position.y,
+            style: `left: ${position.x}%; top: ${position.y}%`,
+            markerClass: `asset-marker ${asset.status || ''}${edits[asset.id] ? ' moved' : ''}`
+        });
+    });
+    return { markers, unplaced };
+}
+
+/**
+ * Position of a screen point on the plan, in percent - rect is the plan's transformed bounding box
+ */
+export function pointToPlanPosition(clientX, clientY, rect) {
+    return {
+        x: roundPercent(((clientX - rect.left) / rect.width) * 100),
+        y: roundPercent(((clientY - rect.top) / rect.height) * 100)
+    };
+}
+
+export function clampZoom(zoom) {
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+}
+
+/**
+ * Zoom to newZoom keeping the viewport point { x, y } (pixels from its top left) fixed
+ * Returns { zoom, pan }
+ */
+export function zoomAround(pan, zoom, newZoom, point, viewport) {
+    const nextZoom = clampZoom(newZoom);
+    const ratio = nextZoom / zoom;
+    return {
+        zoom: nextZoom,
+        pan: clampPan({
+            x: point.x - (point.x - pan.x) * ratio,
+            y: point.y - (point.y - pan.y) * ratio
+        }, nextZoom, viewport)
+    };
+}
+
+// Keep the plan covering the viewport - no panning past its edges
+export function clampPan(pan, zoom, viewport) {
+    return {
+        x: Math.min(0, Math.max(viewport.width * (1 - zoom), pan.x)),
+        y: Math.min(0, Math.max(viewport.height * (1 - zoom), pan.y))
+    };
+}
+
+export function pointerDistance(a, b) {
+    return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+}
+
+export function pointerMidpoint(a, b, rect) {
+    return {
+        x: (a.clientX + b.clientX) / 2 - rect.left,
+        y: (a.clientY + b.clientY) / 2 - rect.top
+    };
+}
+
+function storedPosition(asset) {
+    return asset.planX != null && asset.planY != null ? { x: Number(asset.planX), y: Number(asset.planY) } : null;
+}
+
+function roundPercent(value) {
+    return Math.round(Math.min(100, Math.max(0, value)) * 100) / 100;
+}
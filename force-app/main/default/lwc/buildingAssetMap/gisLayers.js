@@ -0,0 +1,309 @@
+/**
+ * GIS map layers from GeoJSON and KML files, as lightning-map markers
+ *
+ * Layer files come from getMapLayers ({ id, name, fileType, content, color, strokeWeight, fillOpacity,
+ * titleField, popupFields, sortOrder, hidden, error }). Every Point, LineString and Polygon becomes a marker:
+ *   Point      - a colored dot
+ *   LineString - a Polygon traced out and back with no fill, since lightning-map has no line shape
+ *   Polygon    - its outer ring (lightning-map does not draw holes)
+ * Multi-geometries and geometry collections are split into their parts.
+ * Style set on a feature (GeoJSON simplestyle stroke/fill properties, KML Style) overrides the layer style.
+ */
+
+export const ASSETS_LAYER_ID = 'assets';
+
+// Layer colors when the GIS Layer setting has none, by layer order
+const DEFAULT_COLORS = ['#2563eb', '#16a34a', '#7c3aed', '#f59e0b', '#0ea5e9', '#dc2626', '#0d9488'];
+const DEFAULT_STROKE_WEIGHT = 3;
+const DEFAULT_FILL_OPACITY = 0.2;
+
+// Popups list at most this many properties when the layer has no popup fields
+const MAX_POPUP_FIELDS = 8;
+
+// GeoJSON simplestyle properties - used for styling, never shown in popups
+const STYLE_PROPERTIES = ['stroke', 'stroke-width', 'stroke-opacity', 'fill', 'fill-opacity', 'marker-color', 'marker-size', 'marker-symbol'];
+const TITLE_PROPERTIES = ['name', 'Name', 'NAME', 'title', 'Title'];
+
+const DOT_PATH = 'M -6,0 a 6,6 0 1,0 12,0 a 6,6 0 1,0 -12,0';
+
+/**
+ * Layers for the layer list and the map, sorted by sort order then name
+ * Returns [{ id, name, visible, color, colorStyle, type, markers, error }] - failed files carry an error and no markers
+ */
+export function buildMapLayers(layerFiles) {
+    return [...(layerFiles || [])]
+        .sort((a, b) => (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity) || a.name.localeCompare(b.name))
+        .map((file, index) => {
+            const style = {
+                color: file.color || DEFAULT_COLORS[index % DEFAULT_COLORS.length],
+                strokeWeight: file.strokeWeight ?? DEFAULT_STROKE_WEIGHT,
+                fillOpacity: file.fillOpacity ?? DEFAULT_FILL_OPACITY
+            };
+            const layer = {
+                id: file.id,
+                name: file.name,
+                visible: !file.hidden,
+                color: style.color,
+                colorStyle: `background-color: ${style.color}`,
+                type: 'marker',
+                markers: [],
+                error: file.error
+            };
+            if (layer.error) {
+                return layer;
+            }
+            try {
+                const features = file.fileType === 'kml' ? parseKml(file.content) : parseGeoJson(file.content);
+                const popup = {
+                    titleField: file.titleField,
+                    fields: (file.popupFields || '').split(',').map(field => field.trim()).filter(field => field)
+                };
+                layer.markers = features.flatMap((feature, featureIndex) =>
+                    featureMarkers(feature, style, popup, `${file.id}-${featureIndex}`, file.name));
+                layer.type = layerType(features);
+                if (!layer.markers.length) {
+                    layer.error = 'No points, lines or polygons found';
+                }
+            } catch (error) {
+                layer.error = `Could not read the file: ${error.message}`;
+            }
+            return layer;
+        });
+}
+
+/**
+ * Features of a GeoJSON FeatureCollection, Feature or bare geometry
+ * Returns [{ geometries: [{ type, coordinates }], properties, style }] with [lng, lat] coordinates
+ */
+export function parseGeoJson(content) {
+    const json = typeof content === 'string' ? JSON.parse(content) : content;
+    let features;
+    if (json.type === 'FeatureCollection') {
+        features = json.features || [];
+    } else if (json.type === 'Feature') {
+        features = [json];
+    } else {
+        features = [{ type: 'Feature', geometry: json, properties: {} }];
+    }
+    return features
+        .filter(feature => feature && feature.geometry)
+        .map(feature => {
+            const properties = feature.properties || {};
+            return {
+                geometries: flattenGeometry(feature.geometry),
+                properties,
+                style: {
+                    color: properties.stroke || properties.fill || properties['marker-color'],
+                    fillColor: properties.fill,
+                    strokeWeight: properties['stroke-width'],
+                    strokeOpacity: properties['stroke-opacity'],
+                    fillOpacity: properties['fill-opacity']
+                }
+            };
+        });
+}
+
+/**
+ * Placemarks of a KML document, in the same shape as parseGeoJson
+ * name, description and ExtendedData values become properties; inline and shared Styles are applied
+ */
+export function parseKml(content) {
+    const doc = new DOMParser().parseFromString(content, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('not valid KML');
+    }
+
+    const sharedStyles = {};
+    [...doc.getElementsByTagName('Style')].forEach(style => {
+        if (style.getAttribute('id')) {
+            sharedStyles[`#${style.getAttribute('id')}`] = kmlStyle(style);
+        }
+    });
+
+    return [...doc.getElementsByTagName('Placemark')].map(placemark => {
+        const properties = {};
+        const name = childText(placemark, 'name');
+        if (name) {
+            properties.name = name;
+        }
+        const description = childText(placemark, 'description');
+        if (description) {
+            // Descriptions are often HTML - popups show them as plain text
+            properties.description = description.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        }
+        [...placemark.getElementsByTagName('Data')].forEach(data => {
+            properties[data.getAttribute('name')] = childText(data, 'value');
+        });
+        [...placemark.getElementsByTagName('SimpleData')].forEach(data => {
+            properties[data.getAttribute('name')] = data.textContent.trim();
+        });
+
+        const inlineStyle = placemark.getElementsByTagName('Style')[0];
+        const styleUrl = childText(placemark, 'styleUrl');
+        return {
+            geometries: kmlGeometries(placemark),
+            properties,
+            style: inlineStyle ? kmlStyle(inlineStyle) : sharedStyles[styleUrl] || {}
+        };
+    });
+}
+
+function flattenGeometry(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+        case 'LineString':
+        case 'Polygon':
+            return [{ type: geometry.type, coordinates: geometry.coordinates }];
+        case 'MultiPoint':
+            return geometry.coordinates.map(coordinates => ({ type: 'Point', coordinates }));
+        case 'MultiLineString':
+            return geometry.coordinates.map(coordinates => ({ type: 'LineString', coordinates }));
+        case 'MultiPolygon':
+            return geometry.coordinates.map(coordinates => ({ type: 'Polygon', coordinates }));
+        case 'GeometryCollection':
+            return (geometry.geometries || []).flatMap(flattenGeometry);
+        default:
+            return [];
+    }
+}
+
+function kmlGeometries(placemark) {
+    const geometries = [];
+    [...placemark.getElementsByTagName('Point')].forEach(point => {
+        const [coordinates] = kmlCoordinates(childText(point, 'coordinates'));
+        if (coordinates) {
+            geometries.push({ type: 'Point', coordinates });
+        }
+    });
+    [...placemark.getElementsByTagName('LineString')].forEach(line => {
+        geometries.push({ type: 'LineString', coordinates: kmlCoordinates(childText(line, 'coordinates')) });
+    });
+    [...placemark.getElementsByTagName('Polygon')].forEach(polygon => {
+        const outer = polygon.getElementsByTagName('outerBoundaryIs')[0];
+        const ring = outer ? kmlCoordinates(outer.getElementsByTagName('coordinates')[0]?.textContent) : [];
+        geometries.push({ type: 'Polygon', coordinates: [ring] });
+    });
+    return geometries;
+}
+
+// 'lng,lat[,alt] lng,lat[,alt] ...' to [[lng, lat], ...]
+function kmlCoordinates(text) {
+    return (text || '').trim().split(/\s+/)
+        .map(tuple => tuple.split(',').map(Number))
+        .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+        .map(([lng, lat]) => [lng, lat]);
+}
+
+function kmlStyle(style) {
+    const line = style.getElementsByTagName('LineStyle')[0];
+    const poly = style.getElementsByTagName('PolyStyle')[0];
+    const icon = style.getElementsByTagName('IconStyle')[0];
+    const lineColor = line ? kmlColor(childText(line, 'color')) : null;
+    const polyColor = poly ? kmlColor(childText(poly, 'color')) : null;
+    const iconColor = icon ? kmlColor(childText(icon, 'color')) : null;
+    const width = line ? parseFloat(childText(line, 'width')) : NaN;
+    return {
+        color: lineColor?.color || polyColor?.color || iconColor?.color,
+        strokeOpacity: lineColor?.opacity,
+        strokeWeight: Number.isFinite(width) ? width : undefined,
+        fillColor: polyColor?.color,
+        fillOpacity: polyColor?.opacity
+    };
+}
+
+// KML colors are aabbggrr
+function kmlColor(value) {
+    const hex = (value || '').trim();
+    if (!/^[0-9a-f]{8}$/i.test(hex)) {
+        return null;
+    }
+    return {
+        color: `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`,
+        opacity: Math.round((parseInt(hex.slice(0, 2), 16) / 255) * 100) / 100
+    };
+}
+
+function childText(element, tagName) {
+    const child = [...element.children].find(node => node.localName === tagName);
+    return child ? child.textContent.trim() : '';
+}
+
+function featureMarkers(feature, layerStyle, popup, keyPrefix, layerName) {
+    const color = feature.style.color || layerStyle.color;
+    const strokeWeight = feature.style.strokeWeight ?? layerStyle.strokeWeight;
+    const title = featureTitle(feature.properties, popup.titleField) || layerName;
+    const description = popupDescription(feature.properties, popup, title);
+
+    return feature.geometries
+        .filter(geometry => geometry.coordinates && geometry.coordinates.length)
+        .map((geometry, index) => {
+            const marker = { title, description, value: `${keyPrefix}-${index}` };
+            if (geometry.type === 'Point') {
+                const [lng, lat] = geometry.coordinates;
+                return {
+                    ...marker,
+                    location: { Latitude: lat, Longitude: lng },
+                    mapIcon: { path: DOT_PATH, fillColor: color, fillOpacity: 1, strokeColor: '#ffffff', strokeWeight: 2, scale: 1 }
+                };
+            }
+
+            // Lines are traced out and back so the shape has no area to fill
+            const points = geometry.type === 'Polygon'
+                ? geometry.coordinates[0] || []
+                : [...geometry.coordinates, ...[...geometry.coordinates].reverse().slice(1)];
+            const [lng, lat] = points[0] || [];
+            return {
+                ...marker,
+                location: { Latitude: lat, Longitude: lng },
+                type: 'Polygon',
+                paths: points.map(([pointLng, pointLat]) => ({ lat: pointLat, lng: pointLng })),
+                strokeColor: color,
+                strokeOpacity: feature.style.strokeOpacity ?? 0.9,
+                strokeWeight,
+                fillColor: feature.style.fillColor || color,
+                fillOpacity: geometry.type === 'Polygon' ? feature.style.fillOpacity ?? layerStyle.fillOpacity : 0
+            };
+        })
+        .filter(marker => marker.location.Latitude != null && marker.location.Longitude != null);
+}
+
+function featureTitle(properties, titleField) {
+    const field = titleField && properties[titleField] != null
+        ? titleField
+        : TITLE_PROPERTIES.find(name => properties[name] != null);
+    return field ? String(properties[field]) : '';
+}
+
+// Configured popup fields in order, or every property except style and title
+function popupDescription(properties, popup, title) {
+    const fields = popup.fields.length
+        ? popup.fields
+        : Object.keys(properties)
+            .filter(name => !STYLE_PROPERTIES.includes(name) && String(properties[name]) !== title)
+            .slice(0, MAX_POPUP_FIELDS);
+    return fields
+        .filter(name => properties[name] != null && properties[name] !== '')
+        .map(name => `<b>${escapeHtml(name)}:</b> ${escapeHtml(formatValue(properties[name]))}`)
+        .join('<br/>');
+}
+
+function formatValue(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 'line', 'polygon', 'marker' or 'mixed' from the layer's geometries
+function layerType(features) {
+    const types = new Set(features.flatMap(feature => feature.geometries.map(geometry => geometry.type)));
+    if (types.size !== 1) {
+        return types.size ? 'mixed' : 'marker';
+    }
+    return { Point: 'marker', LineString: 'line', Polygon: 'polygon' }[[...types][0]];
+}
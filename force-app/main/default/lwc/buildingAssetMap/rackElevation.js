@@ -0,0 +1,193 @@
+/**
+ * Rack elevation layout for the assets on a floor
+ *
+ * Assets are grouped by room and rack and placed in their U slots from the position text ('U1-U4', 'U12').
+ * U1 is at the bottom of the rack. Racks are DEFAULT_RACK_UNITS tall unless a device sits higher.
+ * Devices whose slots overlap are flagged as collisions and drawn side by side.
+ * Assets in a rack without a readable position are listed as unplaced.
+ */
+
+export const DEFAULT_RACK_UNITS = 42;
+
+// Height of one U in the diagram, in pixels
+export const UNIT_HEIGHT_PX = 14;
+
+const POSITION_PATTERN = /^\s*U?\s*(\d+)\s*(?:-\s*U?\s*(\d+))?\s*$/i;
+const POWER_ATTRIBUTE_PATTERN = /power draw|power consumption/i;
+
+/**
+ * Slot range of a position like 'U1-U4' or 'U12'
+ * Returns { start, end } (start <= end), or null when the position is not a U range
+ */
+export function parseRackPosition(position) {
+    const match = POSITION_PATTERN.exec(position || '');
+    if (!match) {
+        return null;
+    }
+    const first = parseInt(match[1], 10);
+    const last = match[2] ? parseInt(match[2], 10) : first;
+    if (first < 1 || last < 1) {
+        return null;
+    }
+    return { start: Math.min(first, last), end: Math.max(first, last) };
+}
+
+export function formatUnitRange(start, end) {
+    return start === end ? `U${start}` : `U${start}-U${end}`;
+}
+
+/**
+ * Power draw of an asset in kW from its Power Draw / Power Consumption reading, or null without one
+ */
+export function assetPowerDraw(asset) {
+    const reading = (asset.attributes || []).find(attr =>
+        POWER_ATTRIBUTE_PATTERN.test(attr.name || '') && typeof attr.value === 'number');
+    if (!reading) {
+        return null;
+    }
+    return /^w$/i.test((reading.unit || '').trim()) ? reading.value / 1000 : reading.value;
+}
+
+/**
+ * Rack elevations for a list of assets - racks without any placeable device are left out
+ * Returns [{ key, title, room, rack, height, slots, devices, unplaced, usedUnits, freeUnits, capacityLabel,
+ *            utilizationStyle, powerDraw, powerLabel, collisions, hasCollisions, hasUnplaced, frameStyle }]
+ */
+export function buildRackElevations(assets) {
+    const racks = new Map();
+    (assets || []).forEach(asset => {
+        if (!asset.rack || asset.rack === 'N/A') {
+            return;
+        }
+        const key = `${asset.room}|${asset.rack}`;
+        if (!racks.has(key)) {
+            racks.set(key, { key, room: asset.room, rack: asset.rack, placed: [], unplaced: [] });
+        }
+        const slots = parseRackPosition(asset.position);
+        if (slots) {
+            racks.get(key).placed.push({ asset, ...slots });
+        } else {
+            racks.get(key).unplaced.push({ id: asset.id, name: asset.name });
+        }
+    });
+
+    return [...racks.values()]
+        .filter(rack => rack.placed.length > 0)
+        .map(buildRack);
+}
+
+function buildRack(rack) {
+    const placed = [...rack.placed].sort((a, b) => a.start - b.start || b.end - a.end);
+    const height = Math.max(DEFAULT_RACK_UNITS, ...placed.map(device => device.end));
+    const collisions = findCollisions(placed);
+    const collidingIds = new Set(collisions.flatMap(collision => collision.assetIds));
+    const lanes = assignLanes(placed);
+
+    const occupied = new Set();
+    placed.forEach(device => {
+        for (let unit = device.start; unit <= device.end; unit++) {
+            occupied.add(unit);
+        }
+    });
+
+    const devicePower = placed.map(device => assetPowerDraw(device.asset)).filter(power => power != null);
+    const powerDraw = devicePower.reduce((sum, power) => sum + power, 0);
+    const freeUnits = height - occupied.size;
+
+    return {
+        key: rack.key,
+        title: `${rack.rack} - ${rack.room}`,
+        room: rack.room,
+        rack: rack.rack,
+        height,
+        frameStyle: `height: ${height * UNIT_HEIGHT_PX}px`,
+        slots: buildSlots(height),
+        devices: placed.map((device, index) => buildDevice(device, lanes[index], height, collidingIds.has(device.asset.id))),
+        unplaced: rack.unplaced,
+        hasUnplaced: rack.unplaced.length > 0,
+        usedUnits: occupied.size,
+        freeUnits,
+        capacityLabel: `${freeUnits}U free of ${height}U`,
+        utilizationStyle: `width: ${Math.round((occupied.size / height) * 100)}%`,
+        powerDraw,
+        powerLabel: devicePower.length ? `${powerDraw.toFixed(1)} kW` : 'No power readings',
+        collisions: collisions.map(collision => ({ key: collision.assetIds.join('-'), message: collision.message })),
+        hasCollisions: collisions.length > 0
+    };
+}
+
+// Every pair of devices sharing at least one U - placed is sorted by start
+function findCollisions(placed) {
+    const collisions = [];
+    placed.forEach((device, index) => {
+        placed.slice(index + 1)
+            .filter(other => other.start <= device.end)
+            .forEach(other => {
+                const range = formatUnitRange(Math.max(device.start, other.start), Math.min(device.end, other.end));
+                collisions.push({
+                    assetIds: [device.asset.id, other.asset.id],
+                    message: `${device.asset.name} and ${other.asset.name} both occupy ${range}`
+                });
+            });
+    });
+    return collisions;
+}
+
+// Column and column count per device so overlapping devices sit side by side - placed is sorted by start
+function assignLanes(placed) {
+    const lanes = [];
+    let cluster = [];
+    let clusterEnd = 0;
+    const closeCluster = () => {
+        const laneCount = Math.max(...cluster.map(index => lanes[index].lane)) + 1;
+        cluster.forEach(index => {
+            lanes[index].laneCount = laneCount;
+        });
+    };
+
+    placed.forEach((device, index) => {
+        if (cluster.length && device.start > clusterEnd) {
+            closeCluster();
+            cluster = [];
+        }
+        // First column whose last device ends below this one
+        const taken = cluster.filter(other => placed[other].end >= device.start).map(other => lanes[other].lane);
+        let lane = 0;
+        while (taken.includes(lane)) {
+            lane++;
+        }
+        lanes[index] = { lane, laneCount: 1 };
+        cluster.push(index);
+        clusterEnd = Math.max(clusterEnd, device.end);
+    });
+    if (cluster.length) {
+        closeCluster();
+    }
+    return lanes;
+}
+
+function buildDevice(device, lane, height, isCollision) {
+    const { asset, start, end } = device;
+    const width = 100 / lane.laneCount;
+    const power = assetPowerDraw(asset);
+    return {
+        id: asset.id,
+        name: asset.name,
+        type: asset.type,
+        rangeLabel: formatUnitRange(start, end),
+        powerLabel: power != null ? `${power.toFixed(1)} kW` : '',
+        isCollision,
+        deviceClass: `rack-device ${asset.status || ''}${isCollision ? ' collision' : ''}`,
+        style: `top: ${(height - end) * UNIT_HEIGHT_PX}px; height: ${(end - start + 1) * UNIT_HEIGHT_PX}px; ` +
+               `left: ${lane.lane * width}%; width: ${width}%`
+    };
+}
+
+// U labels from the top of the rack down
+function buildSlots(height) {
+    const slots = [];
+    for (let unit = height; unit >= 1; unit--) {
+        slots.push({ key: `u${unit}`, label: unit });
+    }
+    return slots;
+}
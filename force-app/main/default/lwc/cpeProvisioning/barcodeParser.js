@@ -0,0 +1,284 @@
+/**
+ * CPE label parsing and serial number rules for the CPE Provisioning component
+ *
+ * Vendor labels encode the serial, MAC and model in different ways. parseCpeLabel
+ * recognises, in order:
+ *   json      - {"serial": "...", "mac": "...", "model": "..."}
+ *   gs1       - GS1 element string, either "(01)...(21)..." or raw with GS (FNC1) separators
+ *               01 = GTIN, 21 = serial, 240 = model; internal AIs 91-99 holding a MAC are read as the MAC
+ *   keyValue  - "SN:ALCL1A2B3C4D;MAC:00-11-22-33-44-55;MODEL:G-240W" (; , | or newline separated)
+ *   plain     - the whole value is the serial number
+ */
+
+const GS = String.fromCharCode(29);
+
+// GS1 AIs we read - fixed length where the standard defines one, otherwise terminated by GS / next AI
+const GS1_AIS = {
+    '01': { field: 'gtin', length: 14 },
+    '21': { field: 'serialNumber' },
+    '240': { field: 'model' },
+    '91': { field: 'internal' },
+    '92': { field: 'internal' },
+    '93': { field: 'internal' },
+    '94': { field: 'internal' },
+    '95': { field: 'internal' },
+    '96': { field: 'internal' },
+    '97': { field: 'internal' },
+    '98': { field: 'internal' },
+    '99': { field: 'internal' }
+};
+
+// Longest codes first so 240 is not read as AI 24x
+const GS1_AI_CODES = Object.keys(GS1_AIS).sort((a, b) => b.length - a.length);
+
+const KEY_ALIASES = {
+    serialNumber: ['SN', 'S/N', 'SERIAL', 'SERIALNUMBER', 'SERIAL_NUMBER', 'GPON_SN'],
+    macAddress: ['MAC', 'MACADDR', 'MAC_ADDRESS', 'MACADDRESS', 'WAN_MAC'],
+    model: ['MODEL', 'MODELNO', 'MODEL_NO', 'PN', 'P/N', 'PRODUCT']
+};
+
+/**
+ * Serial number rules keyed by Product2.Family; families without an entry use 'default'
+ *   pattern  - regular expression the upper-cased serial must match
+ *   checksum - optional check digit algorithm: 'luhn' (last character is a Luhn check digit)
+ *   example  - shown to the tech when a serial is rejected
+ * The component's serialRules property takes JSON in the same shape, merged per family.
+ */
+export const DEFAULT_SERIAL_RULES = {
+    default: { pattern: '^[A-Z0-9][A-Z0-9-]{5,19}$', checksum: null, example: 'ONT-12345678' },
+    'GPON ONT': { pattern: '^[A-Z]{4}[0-9A-F]{8}$', checksum: null, example: 'ALCL1A2B3C4D' },
+    'XGS-PON ONT': { pattern: '^[A-Z]{4}[0-9A-F]{8}$', checksum: null, example: 'HWTC9F8E7D6C' },
+    'Router': { pattern: '^[A-Z0-9]{10,16}$', checksum: 'luhn', example: 'RTR20240000011' }
+};
+
+export function parseCpeLabel(rawValue) {
+    const raw = (rawValue || '').trim();
+    const result = parseJsonLabel(raw) || parseGs1Label(raw) || parseKeyValueLabel(raw) || {
+        format: 'plain',
+        serialNumber: raw
+    };
+    return {
+        format: result.format,
+        serialNumber: (result.serialNumber || '').trim().toUpperCase(),
+        macAddress: normalizeMacAddress(result.macAddress),
+        model: result.model ? result.model.trim() : '',
+        gtin: result.gtin || '',
+        raw
+    };
+}
+
+/**
+ * Check a serial against the rules for a product family
+ * Returns { valid, message }
+ */
+export function checkSerialFormat(serialNumber, productFamily, rulesJson, onError) {
+    const rules = resolveSerialRules(productFamily, rulesJson, onError);
+    const serial = (serialNumber || '').trim().toUpperCase();
+
+    if (!serial) {
+        return { valid: false, message: 'No serial number found on the label' };
+    }
+    if (rules.pattern && !new RegExp(rules.pattern).test(serial)) {
+        return {
+            valid: false,
+            message: `${serial} is not a valid ${rules.family} serial (expected format like ${rules.example})`
+        };
+    }
+    if (rules.checksum === 'luhn' && !isLuhnValid(serial)) {
+        return { valid: false, message: `${serial} failed the check digit - rescan or re-type the serial` };
+    }
+    return { valid: true, message: '' };
+}
+
+/**
+ * Random serial for a simulated scan that passes the rules for the product family
+ * Falls back to the rules' example when the family's pattern is one the simulator cannot produce
+ */
+export function buildSimulatedSerial(productFamily, rulesJson) {
+    const rules = resolveSerialRules(productFamily, rulesJson);
+    const randomChars = (chars, length) =>
+        Array.from({ length }, () => chars.charAt(Math.floor(Math.random() * chars.length))).join('');
+    const serial = rules.checksum === 'luhn'
+        ? withLuhnCheckDigit('RTR' + randomChars('0123456789', 10))
+        : 'ALCL' + randomChars('0123456789ABCDEF', 8);
+    return checkSerialFormat(serial, productFamily, rulesJson).valid ? serial : rules.example;
+}
+
+/**
+ * Compare the model read from the label with the Work Order Asset's Product2
+ * Returns a warning message, or '' when they match or either side is unknown
+ */
+export function checkProductMatch(labelModel, productName, productCode) {
+    if (!labelModel || (!productName && !productCode)) {
+        return '';
+    }
+    const model = normalizeModel(labelModel);
+    const candidates = [productName, productCode].filter(Boolean).map(normalizeModel);
+    const matches = candidates.some(candidate => candidate.includes(model) || model.includes(candidate));
+    return matches
+        ? ''
+        : `Scanned model ${labelModel} does not match the Work Order product ${productName || productCode}`;
+}
+
+export function resolveSerialRules(productFamily, rulesJson, onError) {
+    let overrides = {};
+    if (rulesJson) {
+        try {
+            overrides = JSON.parse(rulesJson) || {};
+        } catch (error) {
+            if (onError) {
+                onError(`Invalid serial rules JSON - using defaults (${error.message})`);
+            }
+        }
+    }
+
+    const familyKey = productFamily && (overrides[productFamily] || DEFAULT_SERIAL_RULES[productFamily])
+        ? productFamily
+        : 'default';
+
+    return {
+        family: familyKey === 'default' ? 'CPE' : familyKey,
+        ...DEFAULT_SERIAL_RULES.default,
+        ...DEFAULT_SERIAL_RULES[familyKey],
+        ...overrides.default,
+        ...overrides[familyKey]
+    };
+}
+
+function parseJsonLabel(raw) {
+    if (!raw.startsWith('{')) return null;
+    try {
+        const data = JSON.parse(raw);
+        const value = (aliases) => {
+            const key = Object.keys(data).find(candidate => aliases.includes(candidate.toUpperCase()));
+            return key ? String(data[key]) : '';
+        };
+        return {
+            format: 'json',
+            serialNumber: value(KEY_ALIASES.serialNumber),
+            macAddress: value(KEY_ALIASES.macAddress),
+            model: value(KEY_ALIASES.model)
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseGs1Label(raw) {
+    // Human readable form: (01)00012345678905(21)ALCL1A2B3C4D(240)G-240W
+    if (raw.startsWith('(')) {
+        const result = { format: 'gs1' };
+        const pattern = /\((\d{2,4})\)([^(]*)/g;
+        let match;
+        while ((match = pattern.exec(raw)) !== null) {
+            applyGs1Value(result, match[1], match[2]);
+        }
+        return result.serialNumber ? result : null;
+    }
+
+    // Raw form with optional symbology prefix and GS separators
+    const data = raw.replace(/^\]([A-Za-z]\d)/, '');
+    if (!data.includes(GS) && !/^01\d{14}21/.test(data)) {
+        return null;
+    }
+
+    const result = { format: 'gs1' };
+    let position = 0;
+    while (position < data.length) {
+        if (data.charAt(position) === GS) {
+            position++;
+            continue;
+        }
+        const ai = GS1_AI_CODES.find(candidate => data.startsWith(candidate, position));
+        if (!ai) {
+            return result.serialNumber ? result : null;
+        }
+        position += ai.length;
+
+        const definition = GS1_AIS[ai];
+        let end;
+        if (definition.length) {
+            end = position + definition.length;
+        } else {
+            end = data.indexOf(GS, position);
+            if (end === -1) end = data.length;
+        }
+        applyGs1Value(result, ai, data.substring(position, end));
+        position = end;
+    }
+    return result.serialNumber ? result : null;
+}
+
+function applyGs1Value(result, ai, value) {
+    const definition = GS1_AIS[ai];
+    if (!definition) return;
+    if (definition.field === 'internal') {
+        if (!result.macAddress && normalizeMacAddress(value)) {
+            result.macAddress = value;
+        }
+        return;
+    }
+    result[definition.field] = value;
+}
+
+function parseKeyValueLabel(raw) {
+    const pairs = raw.split(/[;,|\n]/)
+        .map(part => part.split(/[:=]/))
+        .filter(parts => parts.length >= 2);
+    if (pairs.length === 0) return null;
+
+    const result = { format: 'keyValue' };
+    pairs.forEach(([key, ...rest]) => {
+        const name = key.trim().toUpperCase();
+        const value = rest.join(':').trim();
+        Object.keys(KEY_ALIASES).forEach(field => {
+            if (KEY_ALIASES[field].includes(name)) {
+                result[field] = value;
+            }
+        });
+    });
+    return result.serialNumber ? result : null;
+}
+
+// Any 12 hex digits with or without separators -> AA:BB:CC:DD:EE:FF
+function normalizeMacAddress(value) {
+    const hex = (value || '').replace(/[^0-9A-Fa-f]/g, '');
+    if (hex.length !== 12 || (value || '').replace(/[\s:.-]/g, '').length !== 12) {
+        return '';
+    }
+    return hex.toUpperCase().match(/.{2}/g).join(':');
+}
+
+function normalizeModel(value) {
+    return value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Append the digit that makes the serial pass isLuhnValid
+function withLuhnCheckDigit(body) {
+    for (let digit = 0; digit <= 9; digit++) {
+        if (isLuhnValid(body + digit)) {
+            return body + digit;
+        }
+    }
+    return body;
+}
+
+// Luhn over the serial with letters expanded to their base-36 value (A=10 ... Z=35)
+function isLuhnValid(serial) {
+    const digits = serial
+        .split('')
+        .map(char => parseInt(char, 36).toString())
+        .join('');
+    let sum = 0;
+    let doubleDigit = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+        let digit = parseInt(digits.charAt(i), 10);
+        if (doubleDigit) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+        doubleDigit = !doubleDigit;
+    }
+    return sum % 10 === 0;
+}
@@ -2,7 +2,11 @@
  * CPE Provisioning & Activation Component
  * For Field Service Mobile - Offline Capable
  *
- * Simulates interaction with legacy ADAPT system for ONT/CPE provisioning
+ * Drives ONT/CPE provisioning through a pluggable provisioning adapter:
+ * the ADAPT simulator (default) or the real OSS via Apex and a Named Credential.
+ * The org's CPE Provisioning Adapter setting overrides the adapterType property.
+ * A session can cover several devices; the step fields below always hold the
+ * active device's state and are swapped in and out when the tech switches device.
  * Demo Context: Used for Haven Enterprises SASE circuit activation workflow
  */
 import { LightningElement, api, wire, track } from 'lwc';
@@ -10,8 +14,54 @@ import { gql, graphql } from 'lightning/uiGraphQLApi';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { CloseActionScreenEvent } from 'lightning/actions';
 import { getBarcodeScanner } from 'lightning/mobileCapabilities';
-
-// ADAPT System Status Codes (simulated)
+import { createRecord, updateRecord, getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import { getObjectInfos } from 'lightning/uiObjectInfoApi';
+import ASSET_OBJECT from '@salesforce/schema/Asset';
+import ASSET_ID from '@salesforce/schema/Asset.Id';
+import ASSET_NAME from '@salesforce/schema/Asset.Name';
+import ASSET_SERIAL from '@salesforce/schema/Asset.SerialNumber';
+import ASSET_STATUS_FIELD from '@salesforce/schema/Asset.Status';
+import ASSET_INSTALL_DATE from '@salesforce/schema/Asset.InstallDate';
+import ASSET_ACCOUNT from '@salesforce/schema/Asset.AccountId';
+import ASSET_PRODUCT from '@salesforce/schema/Asset.Product2Id';
+import ASSET_PARENT from '@salesforce/schema/Asset.ParentId';
+import WORK_ORDER_OBJECT from '@salesforce/schema/WorkOrder';
+import WO_ID from '@salesforce/schema/WorkOrder.Id';
+import WO_ASSET from '@salesforce/schema/WorkOrder.AssetId';
+import WOLI_ID from '@salesforce/schema/WorkOrderLineItem.Id';
+import WOLI_ASSET from '@salesforce/schema/WorkOrderLineItem.AssetId';
+import SERVICE_APPOINTMENT_OBJECT from '@salesforce/schema/ServiceAppointment';
+import SA_ID from '@salesforce/schema/ServiceAppointment.Id';
+import USER_NAME from '@salesforce/schema/User.Name';
+import CURRENT_USER_ID from '@salesforce/user/Id';
+import getAdapterSettings from '@salesforce/apex/CpeProvisioningController.getAdapterSettings';
+import { ADAPTER_TYPES, createProvisioningAdapter } from './provisioningAdapters';
+import { VERDICT, resolveAcceptanceLimits, evaluateSignalTest } from './signalAcceptance';
+import { parseCpeLabel, checkSerialFormat, checkProductMatch, buildSimulatedSerial } from './barcodeParser';
+import {
+    OPTIONAL_FIELDS,
+    TEST_ATTRIBUTE_DEFINITIONS,
+    ASSET_STATUS,
+    PROVISIONING_STATUS,
+    hasField,
+    formatProvisioningLog,
+    buildTestAttributeRecords
+} from './provisioningRecords';
+import {
+    CHECKPOINT_FIELD,
+    DEVICE_STATE_FIELDS,
+    captureDeviceState,
+    buildCheckpoint,
+    serializeCheckpoint,
+    parseCheckpoint,
+    newerCheckpoint,
+    loadLocalCheckpoint,
+    saveLocalCheckpoint,
+    clearLocalCheckpoint
+} from './provisioningCheckpoint';
+import { DEVICE_SOURCES, buildDeviceList } from './provisioningDevices';
+
+// ADAPT System Status Codes
 const ADAPT_STATUS = {
     DISCONNECTED: 'Disconnected',
     CONNECTING: 'Connecting...',
@@ -25,14 +75,51 @@ const ADAPT_STATUS = {
     ERROR: 'Error'
 };
 
+// Adapter operations as presented in the failure panel - connect and activate cannot be skipped
+const STEP_OPERATIONS = {
+    connect: { label: 'Connect', canSkip: false },
+    validate: { label: 'Serial validation', canSkip: true },
+    provision: { label: 'Provisioning', canSkip: true },
+    test: { label: 'Signal test', canSkip: false },
+    activate: { label: 'Activation', canSkip: false }
+};
+
 export default class CpeProvisioning extends LightningElement {
     @api recordId; // Service Appointment Id
+    @api adapterType = ADAPTER_TYPES.SIMULATOR; // 'simulator' or 'apex'
+    @api simulatedFailure = 'none'; // Simulator only: operation forced to fail for demos
+    @api acceptanceLimits; // JSON overrides of the signal acceptance limits per product family
+    @api serialRules; // JSON overrides of the serial number rules per product family
 
     @track currentStep = 1;
     @track adaptStatus = ADAPT_STATUS.DISCONNECTED;
     @track isProcessing = false;
     @track errorMessage = '';
     @track provisioningComplete = false;
+    @track isProvisioned = false;
+
+    // Failure handling - { operation, label, errorCode, message, canSkip } of the failed step
+    @track failedOperation = null;
+    @track isSkipping = false;
+    @track skipReason = '';
+    @track skippedSteps = [];
+
+    // Saving results back to Asset / Work Order / SA after activation
+    @track isSaving = false;
+    @track resultsSaved = false;
+    @track saveError = '';
+    savedAssetId = null;
+    retireAssetId = null; // Swapped-out Asset still to be set to Obsolete
+    savedAttributeKeys = []; // Signal test checks already stored as AssetAttributes
+    attributesSaved = false;
+
+    // Multi-device session - saved working state of every device other than the active one
+    @track activeDeviceKey;
+    @track deviceStates = {};
+
+    // Resume support - the checkpoint this session was restored from, if any
+    @track resumedCheckpoint = null;
+    sessionDirty = false;
 
     // CPE/Asset data
     @track serialNumber = '';
@@ -46,11 +133,21 @@ export default class CpeProvisioning extends LightningElement {
     @track manualSerialNumber = '';
     @track manualSerialEntered = false;
     @track isChangingCpe = false;
+    @track scannedMacAddress = ''; // MAC read from the device label, if it carries one
+    @track serialError = '';
+    @track deviceWarning = '';
 
-    // Signal test results (simulated)
+    // Signal test results and acceptance verdict
     @track signalStrength = null;
     @track opticalPower = null;
     @track connectionSpeed = null;
+    @track signalTestResult = null; // { verdict, checks }
+
+    // Supervisor override of a failed signal test - { supervisorId, supervisor, requestedById, reason, approvedAt }
+    @track supervisorOverride = null;
+    @track isOverriding = false;
+    @track overrideSupervisorId = null;
+    @track overrideReason = '';
 
     // Provisioning log
     @track provisioningLog = [];
@@ -58,11 +155,40 @@ export default class CpeProvisioning extends LightningElement {
     // Barcode scanner
     barcodeScanner;
 
+    // Provisioning system adapter
+    adapter;
+
     connectedCallback() {
         // Initialize barcode scanner if available
         this.barcodeScanner = getBarcodeScanner();
+        this.adapter = createProvisioningAdapter(this.adapterType, null, this.simulatedFailure);
+
+        // Local checkpoint restores immediately, even offline - the record checkpoint may replace it when newer
+        if (this.recordId) {
+            this.restoreCheckpoint(loadLocalCheckpoint(this.recordId));
+        }
+    }
+
+    // Org-wide adapter setting - the only way to pick the adapter for the quick action, which has no properties
+    @wire(getAdapterSettings)
+    wiredAdapterSettings({ data }) {
+        if (data && data.adapterType && !this.isProcessing) {
+            this.adapter = createProvisioningAdapter(data.adapterType, data.systemName, this.simulatedFailure);
+        }
+    }
+
+    // Checkpoint saved on the Service Appointment (optional field, so a missing field is not an error)
+    @wire(getRecord, { recordId: '$recordId', optionalFields: [`ServiceAppointment.${CHECKPOINT_FIELD}`] })
+    wiredCheckpointRecord({ data }) {
+        if (data) {
+            this.restoreCheckpoint(parseCheckpoint(data.fields[CHECKPOINT_FIELD]?.value));
+        }
     }
 
+    // Name of the user picked to approve an override
+    @wire(getRecord, { recordId: '$overrideSupervisorId', fields: [USER_NAME] })
+    overrideSupervisorRecord;
+
     // GraphQL query for Service Appointment and related Asset data
     // Using uiGraphQLApi for offline support
     @wire(graphql, {
@@ -118,12 +244,16 @@ export default class CpeProvisioning extends LightningElement {
                                     WorkOrderNumber { value }
                                     Subject { value }
                                     AssetId { value }
+                                    AccountId { value }
                                     Asset {
                                         Id
                                         Name { value }
                                         SerialNumber { value }
+                                        AccountId { value }
+                                        Product2Id { value }
                                         Product2 {
                                             Name { value }
+                                            ProductCode { value }
                                             Family { value }
                                         }
                                     }
@@ -154,6 +284,204 @@ export default class CpeProvisioning extends LightningElement {
         return null;
     }
 
+    // Additional devices: Assets on the Work Order Line Items
+    @wire(graphql, {
+        query: gql`
+            query getWorkOrderLineItemDevices($workOrderId: ID!) {
+                uiapi {
+                    query {
+                        WorkOrderLineItem(
+                            where: { WorkOrderId: { eq: $workOrderId }, AssetId: { ne: null } }
+                            orderBy: { LineItemNumber: { order: ASC } }
+                        ) {
+                            edges {
+                                node {
+                                    Id
+                                    LineItemNumber { value }
+                                    Asset {
+                                        Id
+                                        Name { value }
+                                        SerialNumber { value }
+                                        AccountId { value }
+                                        Product2Id { value }
+                                        Product2 {
+                                            Name { value }
+                                            ProductCode { value }
+                                            Family { value }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `,
+        variables: '$workOrderVariables'
+    })
+    lineItemResult;
+
+    // Additional devices: child Assets of the Work Order's Asset
+    @wire(graphql, {
+        query: gql`
+            query getChildAssetDevices($parentAssetId: ID!) {
+                uiapi {
+                    query {
+                        Asset(
+                            where: { ParentId: { eq: $parentAssetId } }
+                            orderBy: { Name: { order: ASC } }
+                        ) {
+                            edges {
+                                node {
+                                    Id
+                                    Name { value }
+                                    SerialNumber { value }
+                                    AccountId { value }
+                                    Product2Id { value }
+                                    Product2 {
+                                        Name { value }
+                                        ProductCode { value }
+                                        Family { value }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `,
+        variables: '$childAssetVariables'
+    })
+    childAssetResult;
+
+    get childAssetVariables() {
+        return { parentAssetId: this.workOrder?.Asset?.Id || '' };
+    }
+
+    get devices() {
+        const lineItems = (this.lineItemResult?.data?.uiapi?.query?.WorkOrderLineItem?.edges || []).map(edge => edge.node);
+        const childAssets = (this.childAssetResult?.data?.uiapi?.query?.Asset?.edges || []).map(edge => edge.node);
+        return buildDeviceList(this.workOrder, lineItems, childAssets);
+    }
+
+    get activeDevice() {
+        const devices = this.devices;
+        return devices.find(device => device.key === this.activeDeviceKey) || devices[0];
+    }
+
+    // Asset of the device being provisioned (null for a manually entered CPE)
+    get activeAsset() {
+        return this.activeDevice?.asset;
+    }
+
+    get hasMultipleDevices() {
+        return this.devices.length > 1;
+    }
+
+    // Working state of a device - live fields for the active one, saved state for the rest
+    getDeviceState(device) {
+        return device.key === this.activeDevice?.key ? this : this.deviceStates[device.key];
+    }
+
+    get deviceList() {
+        const activeKey = this.activeDevice?.key;
+        return this.devices.map(device => {
+            const state = this.getDeviceState(device);
+            const status = state?.adaptStatus || ADAPT_STATUS.DISCONNECTED;
+            const isActive = device.key === activeKey;
+            return {
+                key: device.key,
+                name: device.asset?.Name?.value || 'CPE',
+                serial: state?.manualSerialEntered ? state.manualSerialNumber : (device.asset?.SerialNumber?.value || ''),
+                status,
+                statusClass: this.statusBadgeClass(status),
+                iconName: state?.provisioningComplete ? 'utility:success' : 'utility:connected_apps',
+                cssClass: isActive ? 'device-row device-active' : 'device-row'
+            };
+        });
+    }
+
+    get completedDeviceCount() {
+        return this.devices.filter(device => this.getDeviceState(device)?.provisioningComplete).length;
+    }
+
+    get allDevicesActivated() {
+        return this.completedDeviceCount === this.devices.length;
+    }
+
+    get deviceProgressLabel() {
+        return `${this.completedDeviceCount} of ${this.devices.length} devices activated`;
+    }
+
+    get nextPendingDevice() {
+        return this.devices.find(device => !this.getDeviceState(device)?.provisioningComplete);
+    }
+
+    get showNextDevice() {
+        return this.hasMultipleDevices && !this.allDevicesActivated;
+    }
+
+    get completeTitle() {
+        if (!this.hasMultipleDevices) return 'PROVISIONING COMPLETE';
+        return this.allDevicesActivated ? 'ALL DEVICES ACTIVATED' : 'DEVICE ACTIVATED';
+    }
+
+    get completeMessage() {
+        return this.hasMultipleDevices
+            ? this.deviceProgressLabel
+            : 'CPE provisioned and service activated';
+    }
+
+    get disableDeviceSwitch() {
+        return this.isProcessing || this.isSaving || this.hasFailure;
+    }
+
+    // Attribute definitions that store the signal test readings as AssetAttributes
+    @wire(graphql, {
+        query: gql`
+            query getTestAttributeDefinitions($definitionNames: [String]) {
+                uiapi {
+                    query {
+                        AttributeDefinition(where: { DeveloperName: { in: $definitionNames } }) {
+                            edges {
+                                node {
+                                    Id
+                                    DeveloperName { value }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `,
+        variables: '$attributeDefinitionVariables'
+    })
+    attributeDefinitionResult;
+
+    get attributeDefinitionVariables() {
+        return {
+            definitionNames: Object.values(TEST_ATTRIBUTE_DEFINITIONS)
+        };
+    }
+
+    // DeveloperName -> AttributeDefinition Id
+    get attributeDefinitionIds() {
+        const edges = this.attributeDefinitionResult?.data?.uiapi?.query?.AttributeDefinition?.edges || [];
+        return edges.reduce((ids, edge) => {
+            ids[edge.node.DeveloperName.value] = edge.node.Id;
+            return ids;
+        }, {});
+    }
+
+    // Object info tells us which optional custom fields exist in this org
+    @wire(getObjectInfos, { objectApiNames: [ASSET_OBJECT, WORK_ORDER_OBJECT, SERVICE_APPOINTMENT_OBJECT] })
+    objectInfosResult;
+
+    getObjectInfo(objectApiName) {
+        const results = this.objectInfosResult?.data?.results || [];
+        return results.find(entry => entry.result?.apiName === objectApiName)?.result;
+    }
+
     // Computed properties for display
     get appointmentNumber() {
         return this.serviceAppointment?.AppointmentNumber?.value || 'Loading...';
@@ -168,22 +496,45 @@ export default class CpeProvisioning extends LightningElement {
     }
 
     get displayAssetName() {
-        return this.workOrder?.Asset?.Name?.value || 'No CPE Assigned';
+        return this.activeAsset?.Name?.value || 'No CPE Assigned';
     }
 
     get displaySerialNumber() {
         if (this.manualSerialEntered) {
             return this.manualSerialNumber;
         }
-        return this.workOrder?.Asset?.SerialNumber?.value || 'N/A';
+        return this.activeAsset?.SerialNumber?.value || 'N/A';
     }
 
     get displayProductName() {
-        return this.workOrder?.Asset?.Product2?.Name?.value || 'N/A';
+        return this.activeAsset?.Product2?.Name?.value || 'N/A';
+    }
+
+    get provisioningSystemName() {
+        return this.adapter ? this.adapter.systemName : 'ADAPT';
+    }
+
+    get connectButtonLabel() {
+        return `Connect to ${this.provisioningSystemName}`;
+    }
+
+    // Context sent to the provisioning adapter with every operation
+    get provisioningRequest() {
+        return {
+            serviceAppointmentId: this.recordId,
+            workOrderId: this.workOrder?.Id,
+            workOrderNumber: this.workOrder?.WorkOrderNumber?.value,
+            accountName: this.serviceAppointment?.Account?.Name?.value,
+            assetId: this.activeAsset?.Id,
+            serialNumber: this.manualSerialEntered ? this.manualSerialNumber : this.displaySerialNumber,
+            productName: this.activeAsset?.Product2?.Name?.value,
+            productFamily: this.activeAsset?.Product2?.Family?.value,
+            macAddress: this.macAddress || this.scannedMacAddress
+        };
     }
 
     get hasAsset() {
-        return this.workOrder?.Asset?.Id != null || this.manualSerialEntered;
+        return this.activeAsset?.Id != null || this.manualSerialEntered;
     }
 
     get showCpeDisplay() {
@@ -196,7 +547,96 @@ export default class CpeProvisioning extends LightningElement {
     }
 
     get disableStartProvisioning() {
-        return this.isProcessing || (!this.workOrder?.Asset?.Id && !this.manualSerialEntered);
+        return this.isProcessing || (!this.activeAsset?.Id && !this.manualSerialEntered);
+    }
+
+    get hasFailure() {
+        return this.failedOperation != null;
+    }
+
+    get hasProgress() {
+        return this.currentStep > 1 || this.provisioningLog.length > 0;
+    }
+
+    get disableRestart() {
+        return this.isProcessing || this.isSaving;
+    }
+
+    get resumedSummary() {
+        if (!this.resumedCheckpoint) return '';
+        const savedAt = new Date(this.resumedCheckpoint.savedAt).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const scope = this.canCheckpointToRecord ? '' : ' on this device only';
+        return `Resumed at step ${this.currentStep} - saved ${savedAt}${scope}`;
+    }
+
+    // Without access to the checkpoint field the session can only be resumed where it was started
+    get canCheckpointToRecord() {
+        const objectInfo = this.getObjectInfo(SERVICE_APPOINTMENT_OBJECT.objectApiName);
+        return !objectInfo || hasField(objectInfo, CHECKPOINT_FIELD);
+    }
+
+    get isSkipReasonEmpty() {
+        return !this.skipReason || this.skipReason.trim() === '';
+    }
+
+    get signalVerdict() {
+        return this.signalTestResult?.verdict;
+    }
+
+    get signalPassed() {
+        return this.signalVerdict === VERDICT.PASS;
+    }
+
+    get signalVerdictClass() {
+        return this.signalPassed
+            ? 'slds-badge_inverse slds-theme_success'
+            : 'slds-badge_inverse slds-theme_error';
+    }
+
+    get signalBoxClass() {
+        return this.signalPassed ? 'signal-box' : 'signal-box signal-box-fail';
+    }
+
+    // Activation gate: a passing signal test or a captured supervisor override
+    get canActivate() {
+        return this.signalPassed || this.supervisorOverride != null;
+    }
+
+    get disableActivate() {
+        return this.isProcessing || !this.canActivate;
+    }
+
+    get showOverrideOption() {
+        return this.signalVerdict === VERDICT.FAIL && !this.supervisorOverride && !this.isOverriding;
+    }
+
+    get isOverrideIncomplete() {
+        return !this.overrideSupervisorName || this.isSelfOverride || !this.overrideReason?.trim();
+    }
+
+    // The technician cannot approve their own override
+    get isSelfOverride() {
+        return this.overrideSupervisorId === CURRENT_USER_ID;
+    }
+
+    get overrideSupervisorName() {
+        const record = this.overrideSupervisorRecord?.data;
+        return record ? getFieldValue(record, USER_NAME) : null;
+    }
+
+    // Active users other than the technician can approve an override
+    get supervisorFilter() {
+        return {
+            criteria: [
+                { fieldPath: 'IsActive', operator: 'eq', value: true },
+                { fieldPath: 'Id', operator: 'ne', value: CURRENT_USER_ID }
+            ]
+        };
     }
 
     // Step indicators
@@ -211,22 +651,18 @@ export default class CpeProvisioning extends LightningElement {
     get step3Class() { return this.currentStep >= 3 ? 'step-dot active' : 'step-dot'; }
     get step4Class() { return this.currentStep >= 4 ? 'step-dot active' : 'step-dot'; }
 
-    get signalClass() {
-        if (!this.signalStrength) return '';
-        const strength = parseInt(this.signalStrength);
-        if (strength >= -20) return 'signal-excellent';
-        if (strength >= -25) return 'signal-good';
-        return 'signal-fair';
+    get adaptStatusClass() {
+        return this.statusBadgeClass(this.adaptStatus);
     }
 
-    get adaptStatusClass() {
-        if (this.adaptStatus === ADAPT_STATUS.ERROR) {
+    statusBadgeClass(status) {
+        if (status === ADAPT_STATUS.ERROR) {
             return 'slds-badge_inverse slds-theme_error';
         }
-        if (this.adaptStatus === ADAPT_STATUS.ACTIVATED || this.adaptStatus === ADAPT_STATUS.PROVISIONED) {
+        if (status === ADAPT_STATUS.ACTIVATED || status === ADAPT_STATUS.PROVISIONED) {
             return 'slds-badge_inverse slds-theme_success';
         }
-        if (this.adaptStatus.includes('...')) {
+        if (status.includes('...')) {
             return 'slds-badge_lightest';
         }
         return '';
@@ -247,15 +683,72 @@ export default class CpeProvisioning extends LightningElement {
 
     handleUseManualSerial() {
         if (this.manualSerialNumber && this.manualSerialNumber.trim() !== '') {
-            this.manualSerialEntered = true;
-            this.isChangingCpe = false;
-            this.addLog(`CPE set: ${this.manualSerialNumber}`, 'info');
+            // Typed or pasted values go through the same label parsing as scans
+            this.applyDeviceLabel(this.manualSerialNumber, 'CPE set');
         }
     }
 
     handleChangeCpe() {
         this.isChangingCpe = true;
         this.manualSerialNumber = '';
+        this.serialError = '';
+        this.deviceWarning = '';
+    }
+
+    // Parse a scanned/typed label, validate the serial for the product family and check the model
+    // Returns true when the serial was accepted
+    applyDeviceLabel(rawValue, source) {
+        const label = parseCpeLabel(rawValue);
+        const product = this.activeAsset?.Product2;
+        const validation = this.checkSerial(label.serialNumber);
+
+        this.manualSerialNumber = label.serialNumber || rawValue.trim();
+        if (!validation.valid) {
+            this.serialError = validation.message;
+            this.manualSerialEntered = false;
+            this.addLog(`${source} rejected: ${validation.message}`, 'error');
+            return false;
+        }
+
+        this.serialError = '';
+        this.manualSerialEntered = true;
+        this.isChangingCpe = false;
+        this.scannedMacAddress = label.macAddress;
+        this.addLog(`${source}: ${label.serialNumber}${label.format !== 'plain' ? ` (${label.format} label)` : ''}`, 'success');
+        if (label.macAddress) {
+            this.addLog(`Label MAC: ${label.macAddress}`, 'info');
+        }
+
+        this.deviceWarning = checkProductMatch(label.model, product?.Name?.value, product?.ProductCode?.value);
+        if (this.deviceWarning) {
+            this.addLog(this.deviceWarning, 'warning');
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Device Mismatch',
+                message: this.deviceWarning,
+                variant: 'warning'
+            }));
+        }
+        return true;
+    }
+
+    // Serial rules of the active device's product family - { valid, message }
+    checkSerial(serialNumber) {
+        return checkSerialFormat(
+            serialNumber,
+            this.activeAsset?.Product2?.Family?.value,
+            this.serialRules,
+            (message) => this.addLog(message, 'warning')
+        );
+    }
+
+    // Desktop/demo stand-in for a vendor label: key/value QR with serial, MAC and the expected model
+    buildSimulatedLabel() {
+        const hex = () => Math.floor(Math.random() * 16).toString(16).toUpperCase();
+        const product = this.activeAsset?.Product2;
+        const serial = buildSimulatedSerial(product?.Family?.value, this.serialRules);
+        const mac = Array.from({ length: 6 }, () => hex() + hex()).join(':');
+        const model = product?.ProductCode?.value || product?.Name?.value;
+        return `SN:${serial};MAC:${mac}${model ? `;MODEL:${model}` : ''}`;
     }
 
     handleScanBarcode() {
@@ -275,9 +768,7 @@ export default class CpeProvisioning extends LightningElement {
             this.barcodeScanner
                 .beginCapture(scanningOptions)
                 .then((result) => {
-                    this.manualSerialNumber = result.value;
-                    this.manualSerialEntered = true;
-                    this.addLog(`Barcode scanned: ${result.value}`, 'success');
+                    this.applyDeviceLabel(result.value, 'Barcode scanned');
                     this.barcodeScanner.endCapture();
                 })
                 .catch((error) => {
@@ -286,14 +777,11 @@ export default class CpeProvisioning extends LightningElement {
                 });
         } else {
             // Simulate barcode scan for demo/desktop testing
-            const simulatedSerial = 'ONT-' + Math.random().toString(36).substring(2, 10).toUpperCase();
-            this.manualSerialNumber = simulatedSerial;
-            this.manualSerialEntered = true;
-            this.addLog(`Simulated scan: ${simulatedSerial}`, 'success');
+            this.applyDeviceLabel(this.buildSimulatedLabel(), 'Simulated scan');
 
             this.dispatchEvent(new ShowToastEvent({
                 title: 'Barcode Simulated',
-                message: 'Scanner not available - using simulated serial for demo',
+                message: 'Scanner not available - using a simulated device label for demo',
                 variant: 'info'
             }));
         }
@@ -308,103 +796,175 @@ export default class CpeProvisioning extends LightningElement {
             hour12: false
         });
         this.provisioningLog = [...this.provisioningLog, {
-            id: Date.now(),
+            id: `${Date.now()}-${this.provisioningLog.length}`,
             timestamp,
             message,
             type,
+            cssClass: `log-line log-${type}`,
             iconName: type === 'success' ? 'utility:success' :
-                      type === 'error' ? 'utility:error' : 'utility:info'
+                      type === 'error' ? 'utility:error' :
+                      type === 'warning' ? 'utility:warning' : 'utility:info'
         }];
     }
 
-    // Simulated ADAPT system interaction
+    // Run one adapter operation, routing its progress lines into the provisioning log
+    // Always resolves to a response - failures and exceptions come back with success: false
+    async runAdapterOperation(operation) {
+        this.clearFailure();
+        let response;
+        try {
+            response = await this.adapter[operation](
+                this.provisioningRequest,
+                (message, type) => this.addLog(message, type)
+            );
+        } catch (error) {
+            response = {
+                success: false,
+                errorCode: 'UNEXPECTED_ERROR',
+                message: error.body?.message || error.message
+            };
+        }
+        if (!response.success) {
+            this.recordFailure(operation, response);
+        }
+        return response;
+    }
+
+    recordFailure(operation, response) {
+        const step = STEP_OPERATIONS[operation];
+        const errorCode = response.errorCode || 'UNKNOWN_ERROR';
+        const message = response.message || `${step.label} failed`;
+
+        this.adaptStatus = ADAPT_STATUS.ERROR;
+        this.errorMessage = message;
+        this.failedOperation = {
+            operation,
+            label: step.label,
+            canSkip: step.canSkip,
+            errorCode,
+            message
+        };
+        this.addLog(`${step.label} failed [${errorCode}]: ${message}`, 'error');
+    }
+
+    clearFailure() {
+        this.failedOperation = null;
+        this.isSkipping = false;
+        this.skipReason = '';
+        this.errorMessage = '';
+    }
+
+    // Provisioning system interaction
     async connectToADAPT() {
         this.isProcessing = true;
         this.adaptStatus = ADAPT_STATUS.CONNECTING;
-        const customerContext = this.displayAccountName !== 'N/A' ? ` for ${this.displayAccountName}` : '';
-        this.addLog(`Connecting to ADAPT${customerContext}...`, 'info');
 
-        await this.delay(1500);
-
-        this.adaptStatus = ADAPT_STATUS.CONNECTED;
-        this.addLog('ADAPT connection established', 'success');
-        if (this.displayWorkOrderNumber !== 'Loading...') {
-            this.addLog(`WO: ${this.displayWorkOrderNumber}`, 'info');
+        const response = await this.runAdapterOperation('connect');
+        if (response.success) {
+            this.adaptStatus = ADAPT_STATUS.CONNECTED;
+            if (this.displayWorkOrderNumber !== 'Loading...') {
+                this.addLog(`WO: ${this.displayWorkOrderNumber}`, 'info');
+            }
+            this.currentStep = 2;
+            this.saveCheckpoint();
         }
-        this.currentStep = 2;
         this.isProcessing = false;
+        return response.success;
     }
 
     async validateSerial() {
         this.isProcessing = true;
         this.adaptStatus = ADAPT_STATUS.VALIDATING;
-        const serial = this.manualSerialEntered ? this.manualSerialNumber : this.displaySerialNumber;
-        this.addLog(`Validating: ${serial}`, 'info');
-
-        await this.delay(2000);
 
-        this.adaptStatus = ADAPT_STATUS.VALIDATED;
-        this.addLog('Serial validated', 'success');
-        this.addLog(`MAC: ${this.generateMacAddress()}`, 'info');
+        // The Work Order Asset's serial gets the same rule check as a scanned one
+        const serialCheck = this.checkSerial(this.provisioningRequest.serialNumber);
+        let response;
+        if (serialCheck.valid) {
+            response = await this.runAdapterOperation('validate');
+        } else {
+            this.clearFailure();
+            response = { success: false, errorCode: 'INVALID_SERIAL', message: serialCheck.message };
+            this.recordFailure('validate', response);
+        }
+        if (response.success) {
+            this.adaptStatus = ADAPT_STATUS.VALIDATED;
+            this.macAddress = response.data?.macAddress || this.scannedMacAddress || '';
+            this.saveCheckpoint();
+        }
         this.isProcessing = false;
+        return response.success;
     }
 
     async provisionCPE() {
         this.isProcessing = true;
         this.adaptStatus = ADAPT_STATUS.PROVISIONING;
-        this.addLog('Provisioning CPE...', 'info');
-
-        await this.delay(1000);
-        this.addLog('Creating service profile', 'info');
-
-        await this.delay(1500);
-        this.addLog('Configuring VLAN', 'info');
 
-        await this.delay(1000);
-        this.addLog('Setting QoS parameters', 'info');
-
-        await this.delay(1500);
-
-        this.adaptStatus = ADAPT_STATUS.PROVISIONED;
-        this.addLog('CPE provisioned', 'success');
-        this.currentStep = 3;
+        const response = await this.runAdapterOperation('provision');
+        if (response.success) {
+            this.adaptStatus = ADAPT_STATUS.PROVISIONED;
+            this.isProvisioned = true;
+            this.currentStep = 3;
+            this.saveCheckpoint();
+        }
         this.isProcessing = false;
+        return response.success;
     }
 
     async runSignalTest() {
         this.isProcessing = true;
-        this.addLog('Running signal test...', 'info');
 
-        await this.delay(2000);
+        // A new reading replaces any earlier verdict and override
+        this.signalTestResult = null;
+        this.supervisorOverride = null;
+        this.isOverriding = false;
+
+        const response = await this.runAdapterOperation('test');
+        if (response.success) {
+            this.adaptStatus = ADAPT_STATUS.PROVISIONED;
+            this.signalStrength = response.data?.signalStrength;
+            this.opticalPower = response.data?.opticalPower;
+            this.connectionSpeed = response.data?.connectionSpeed;
+            this.evaluateSignal(response.data);
+            this.saveCheckpoint();
+        }
+        this.isProcessing = false;
+        return response.success;
+    }
 
-        // Simulate signal test results
-        this.signalStrength = '-' + (Math.floor(Math.random() * 10) + 18) + ' dBm';
-        this.opticalPower = (Math.random() * 2 + 1).toFixed(2) + ' mW';
-        this.connectionSpeed = '1 Gbps';
+    evaluateSignal(readings) {
+        const limits = resolveAcceptanceLimits(
+            this.activeAsset?.Product2?.Family?.value,
+            this.acceptanceLimits,
+            (message) => this.addLog(message, 'warning')
+        );
+        this.signalTestResult = evaluateSignalTest(readings, limits);
 
-        this.addLog(`Signal: ${this.signalStrength}`, 'success');
-        this.isProcessing = false;
+        if (this.signalPassed) {
+            this.addLog(`Signal test PASS (${limits.family} limits)`, 'success');
+        } else {
+            const failedChecks = this.signalTestResult.checks
+                .filter(check => !check.passed)
+                .map(check => `${check.label} ${check.value} (limit ${check.limit})`)
+                .join(', ');
+            this.addLog(`Signal test FAIL: ${failedChecks}`, 'error');
+        }
     }
 
     async activateService() {
         this.isProcessing = true;
         this.adaptStatus = ADAPT_STATUS.ACTIVATING;
-        this.addLog('Activating service...', 'info');
-
-        await this.delay(2000);
-        this.addLog('Enabling data path', 'info');
-
-        await this.delay(1500);
-        this.addLog('Verifying connectivity', 'info');
 
-        await this.delay(1000);
+        const response = await this.runAdapterOperation('activate');
+        if (!response.success) {
+            this.isProcessing = false;
+            return false;
+        }
 
         this.adaptStatus = ADAPT_STATUS.ACTIVATED;
-        const customerContext = this.displayAccountName !== 'N/A' ? ` - ${this.displayAccountName}` : '';
-        this.addLog(`SERVICE ACTIVATED${customerContext}`, 'success');
         this.currentStep = 4;
         this.provisioningComplete = true;
         this.isProcessing = false;
+        this.saveCheckpoint();
 
         const toastMessage = this.displayAccountName !== 'N/A'
             ? `CPE provisioned and service activated for ${this.displayAccountName}`
@@ -415,6 +975,190 @@ export default class CpeProvisioning extends LightningElement {
             message: toastMessage,
             variant: 'success'
         }));
+
+        await this.saveProvisioningResults();
+
+        if (this.hasMultipleDevices && this.allDevicesActivated) {
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'All Devices Activated',
+                message: `${this.devices.length} devices provisioned and activated`,
+                variant: 'success'
+            }));
+        }
+        return true;
+    }
+
+    // Save results through uiRecordApi so they queue offline and sync later
+    // Each stage remembers what it already wrote, so Retry Save does not create duplicates
+    async saveProvisioningResults() {
+        this.isSaving = true;
+        this.saveError = '';
+        try {
+            const assetId = await this.saveAsset();
+            await this.saveTestAttributes(assetId);
+            await this.saveWorkOrder(assetId);
+            await this.saveAppointment();
+            this.resultsSaved = true;
+            this.addLog('Results saved to Salesforce', 'success');
+        } catch (error) {
+            this.saveError = error.body?.message || error.message || 'Failed to save provisioning results';
+            this.addLog(`Save failed: ${this.saveError}`, 'error');
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Results Not Saved',
+                message: this.saveError,
+                variant: 'error'
+            }));
+        } finally {
+            this.isSaving = false;
+            this.saveCheckpoint();
+        }
+    }
+
+    // Update the Work Order's Asset, or create a new one when the tech swapped the CPE
+    async saveAsset() {
+        if (!this.savedAssetId) {
+            await this.writeAsset();
+        }
+        await this.retireReplacedAsset();
+        return this.savedAssetId;
+    }
+
+    async writeAsset() {
+        const existingAsset = this.activeAsset;
+        const serialNumber = this.provisioningRequest.serialNumber;
+        const includeMac = this.macAddress && hasField(this.getObjectInfo(ASSET_OBJECT.objectApiName), OPTIONAL_FIELDS.ASSET_MAC_ADDRESS);
+        const isSwap = this.manualSerialEntered && (!existingAsset?.Id || existingAsset.SerialNumber?.value !== serialNumber);
+
+        const fields = {};
+        fields[ASSET_SERIAL.fieldApiName] = serialNumber;
+        fields[ASSET_STATUS_FIELD.fieldApiName] = ASSET_STATUS.INSTALLED;
+        if (includeMac) {
+            fields[OPTIONAL_FIELDS.ASSET_MAC_ADDRESS] = this.macAddress;
+        }
+
+        if (!isSwap) {
+            fields[ASSET_ID.fieldApiName] = existingAsset.Id;
+            await updateRecord({ fields });
+            this.savedAssetId = existingAsset.Id;
+            this.addLog(`Asset updated: ${existingAsset.Name?.value || serialNumber}`, 'success');
+            return;
+        }
+
+        fields[ASSET_NAME.fieldApiName] = `${existingAsset?.Product2?.Name?.value || 'CPE'} ${serialNumber}`;
+        fields[ASSET_INSTALL_DATE.fieldApiName] = new Date().toISOString().substring(0, 10);
+        const accountId = existingAsset?.AccountId?.value || this.workOrder?.AccountId?.value;
+        if (accountId) {
+            fields[ASSET_ACCOUNT.fieldApiName] = accountId;
+        }
+        if (existingAsset?.Product2Id?.value) {
+            fields[ASSET_PRODUCT.fieldApiName] = existingAsset.Product2Id.value;
+        }
+        // A swapped child device stays under the primary device
+        if (this.activeDevice?.source === DEVICE_SOURCES.CHILD_ASSET && this.workOrder?.Asset?.Id) {
+            fields[ASSET_PARENT.fieldApiName] = this.workOrder.Asset.Id;
+        }
+
+        const record = await createRecord({ apiName: ASSET_OBJECT.objectApiName, fields });
+        this.savedAssetId = record.id;
+        this.retireAssetId = existingAsset?.Id || null;
+        this.addLog(`New asset created for ${serialNumber}`, 'success');
+    }
+
+    // Set the swapped-out Asset to Obsolete - its own step, so Retry Save finishes it after the new Asset exists
+    async retireReplacedAsset() {
+        if (!this.retireAssetId) {
+            return;
+        }
+        const replacedFields = {};
+        replacedFields[ASSET_ID.fieldApiName] = this.retireAssetId;
+        replacedFields[ASSET_STATUS_FIELD.fieldApiName] = ASSET_STATUS.REPLACED;
+        await updateRecord({ fields: replacedFields });
+        const existingAsset = this.activeAsset;
+        this.addLog(`Replaced asset retired: ${existingAsset?.SerialNumber?.value || existingAsset?.Name?.value || this.retireAssetId}`, 'info');
+        this.retireAssetId = null;
+    }
+
+    // Store each signal test reading as an AssetAttribute
+    async saveTestAttributes(assetId) {
+        if (this.attributesSaved || !this.signalTestResult) {
+            return;
+        }
+        const records = buildTestAttributeRecords(assetId, this.signalTestResult.checks, this.attributeDefinitionIds);
+        if (records.length === 0) {
+            this.addLog('No CPE test attribute definitions found - readings kept in the log only', 'warning');
+        }
+        // Each reading is marked as soon as it is stored, so a retry only creates the rest
+        for (const { key, recordInput } of records) {
+            if (!this.savedAttributeKeys.includes(key)) {
+                await createRecord(recordInput);
+                this.savedAttributeKeys = [...this.savedAttributeKeys, key];
+            }
+        }
+        this.attributesSaved = true;
+    }
+
+    // Link the (possibly new) Asset and attach the provisioning log of every device to the Work Order
+    async saveWorkOrder(assetId) {
+        if (!this.workOrder?.Id) {
+            return;
+        }
+        const source = this.activeDevice?.source;
+
+        // A swapped line item device is re-linked on its Work Order Line Item
+        if (source === DEVICE_SOURCES.LINE_ITEM && assetId !== this.activeAsset?.Id) {
+            const lineItemFields = {};
+            lineItemFields[WOLI_ID.fieldApiName] = this.activeDevice.workOrderLineItemId;
+            lineItemFields[WOLI_ASSET.fieldApiName] = assetId;
+            await updateRecord({ fields: lineItemFields });
+        }
+
+        const fields = {};
+        fields[WO_ID.fieldApiName] = this.workOrder.Id;
+        const isWorkOrderDevice = source === DEVICE_SOURCES.WORK_ORDER || source === DEVICE_SOURCES.MANUAL;
+        if (isWorkOrderDevice && assetId && assetId !== this.workOrder.AssetId?.value) {
+            fields[WO_ASSET.fieldApiName] = assetId;
+        }
+
+        if (hasField(this.getObjectInfo(WORK_ORDER_OBJECT.objectApiName), OPTIONAL_FIELDS.WORK_ORDER_LOG)) {
+            const sections = this.devices
+                .map(device => ({ device, state: this.getDeviceState(device) }))
+                .filter(({ state }) => state?.provisioningLog?.length)
+                .map(({ device, state }) => ({
+                    deviceName: device.asset?.Name?.value,
+                    serialNumber: state.manualSerialEntered ? state.manualSerialNumber : device.asset?.SerialNumber?.value,
+                    macAddress: state.macAddress,
+                    verdict: state.signalTestResult?.verdict,
+                    supervisorOverride: state.supervisorOverride,
+                    skippedSteps: state.skippedSteps,
+                    logEntries: state.provisioningLog
+                }));
+            fields[OPTIONAL_FIELDS.WORK_ORDER_LOG] = formatProvisioningLog(sections);
+        } else {
+            this.addLog(`WorkOrder.${OPTIONAL_FIELDS.WORK_ORDER_LOG} not found - log not attached`, 'warning');
+        }
+
+        if (Object.keys(fields).length > 1) {
+            await updateRecord({ fields });
+        }
+    }
+
+    // The appointment is marked activated once every device in the session is
+    async saveAppointment() {
+        if (!this.recordId || !this.allDevicesActivated
+            || !hasField(this.getObjectInfo(SERVICE_APPOINTMENT_OBJECT.objectApiName), OPTIONAL_FIELDS.SA_PROVISIONING_STATUS)) {
+            return;
+        }
+        const anyOverride = this.devices.some(device => this.getDeviceState(device)?.supervisorOverride);
+        const fields = {};
+        fields[SA_ID.fieldApiName] = this.recordId;
+        fields[OPTIONAL_FIELDS.SA_PROVISIONING_STATUS] = anyOverride
+            ? PROVISIONING_STATUS.ACTIVATED_OVERRIDE
+            : PROVISIONING_STATUS.ACTIVATED;
+        await updateRecord({ fields });
+    }
+
+    handleRetrySave() {
+        this.saveProvisioningResults();
     }
 
     // Button handlers
@@ -423,9 +1167,9 @@ export default class CpeProvisioning extends LightningElement {
     }
 
     async handleStep2Actions() {
-        await this.validateSerial();
-        await this.delay(500);
-        await this.provisionCPE();
+        if (await this.validateSerial()) {
+            await this.provisionCPE();
+        }
     }
 
     handleRunSignalTest() {
@@ -433,26 +1177,285 @@ export default class CpeProvisioning extends LightningElement {
     }
 
     handleActivate() {
-        this.activateService();
+        if (this.canActivate) {
+            this.activateService();
+        }
     }
 
-    handleClose() {
-        this.dispatchEvent(new CloseActionScreenEvent());
+    // Supervisor override handlers
+    handleOverrideStart() {
+        this.isOverriding = true;
+    }
+
+    handleOverrideCancel() {
+        this.isOverriding = false;
+        this.overrideSupervisorId = null;
+        this.overrideReason = '';
+    }
+
+    handleOverrideSupervisorChange(event) {
+        this.overrideSupervisorId = event.detail.recordId;
+    }
+
+    handleOverrideReasonChange(event) {
+        this.overrideReason = event.target.value;
+    }
+
+    handleConfirmOverride() {
+        if (this.isOverrideIncomplete) {
+            return;
+        }
+        this.supervisorOverride = {
+            supervisorId: this.overrideSupervisorId,
+            supervisor: this.overrideSupervisorName,
+            requestedById: CURRENT_USER_ID,
+            reason: this.overrideReason.trim(),
+            approvedAt: new Date().toISOString()
+        };
+        this.addLog(`Supervisor override by ${this.supervisorOverride.supervisor} (${this.supervisorOverride.supervisorId}), ` +
+            `requested by ${CURRENT_USER_ID}: ${this.supervisorOverride.reason}`, 'warning');
+        this.handleOverrideCancel();
+        this.saveCheckpoint();
+    }
+
+    // Failure panel handlers
+    handleRetry() {
+        const retryActions = {
+            connect: () => this.connectToADAPT(),
+            validate: () => this.handleStep2Actions(),
+            provision: () => this.provisionCPE(),
+            test: () => this.runSignalTest(),
+            activate: () => this.activateService()
+        };
+        const { operation } = this.failedOperation;
+        this.addLog(`Retrying ${STEP_OPERATIONS[operation].label.toLowerCase()}...`, 'info');
+        retryActions[operation]();
     }
 
-    // Utility methods
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    handleSkipStart() {
+        this.isSkipping = true;
     }
 
-    generateMacAddress() {
-        const hex = '0123456789ABCDEF';
-        let mac = '';
-        for (let i = 0; i < 6; i++) {
-            mac += hex.charAt(Math.floor(Math.random() * 16));
-            mac += hex.charAt(Math.floor(Math.random() * 16));
-            if (i < 5) mac += ':';
+    handleSkipCancel() {
+        this.isSkipping = false;
+        this.skipReason = '';
+    }
+
+    handleSkipReasonChange(event) {
+        this.skipReason = event.target.value;
+    }
+
+    handleConfirmSkip() {
+        if (this.isSkipReasonEmpty) {
+            return;
         }
-        return mac;
+        const { operation, label, errorCode } = this.failedOperation;
+        const reason = this.skipReason.trim();
+
+        this.skippedSteps = [...this.skippedSteps, { operation, errorCode, reason }];
+        this.addLog(`Skipped ${label.toLowerCase()} [${errorCode}]: ${reason}`, 'warning');
+        this.clearFailure();
+
+        // Continue the workflow as if the skipped step had succeeded
+        if (operation === 'validate') {
+            this.adaptStatus = ADAPT_STATUS.VALIDATED;
+            this.provisionCPE();
+        } else if (operation === 'provision') {
+            this.adaptStatus = ADAPT_STATUS.PROVISIONED;
+            this.currentStep = 3;
+            this.saveCheckpoint();
+        }
+    }
+
+    async handleAbort() {
+        this.isProcessing = true;
+        this.clearFailure();
+
+        if (this.isProvisioned) {
+            await this.rollbackProvisioning();
+        }
+
+        this.addLog('Provisioning aborted', 'warning');
+        this.resetWorkflow();
+        this.isProcessing = false;
+        this.saveCheckpoint();
+
+        this.dispatchEvent(new ShowToastEvent({
+            title: 'Provisioning Aborted',
+            message: 'The workflow was reset - start again when ready',
+            variant: 'warning'
+        }));
+    }
+
+    // Undo anything already pushed to the provisioning system
+    async rollbackProvisioning() {
+        try {
+            const response = await this.adapter.rollback(
+                this.provisioningRequest,
+                (message, type) => this.addLog(message, type)
+            );
+            if (!response.success) {
+                this.addLog(`Rollback failed [${response.errorCode || 'UNKNOWN_ERROR'}]: ${response.message}`, 'error');
+            }
+        } catch (error) {
+            this.addLog(`Rollback failed: ${error.body?.message || error.message}`, 'error');
+        }
+    }
+
+    // Start the active device over: roll back an unfinished provisioning and clear its log
+    // The checkpoint is cleared once no device in the session has progress left
+    async handleRestartProvisioning() {
+        this.isProcessing = true;
+        this.clearFailure();
+
+        if (this.isProvisioned && !this.provisioningComplete) {
+            await this.rollbackProvisioning();
+        }
+
+        this.resetDeviceState();
+        const remainingStates = { ...this.deviceStates };
+        delete remainingStates[this.activeDevice?.key];
+        this.deviceStates = remainingStates;
+        this.resumedCheckpoint = null;
+        this.isProcessing = false;
+
+        if (Object.keys(remainingStates).length === 0) {
+            this.clearCheckpoint();
+        } else {
+            this.saveCheckpoint();
+        }
+        this.addLog('Provisioning restarted', 'info');
+    }
+
+    // Device switching
+    handleSelectDevice(event) {
+        const key = event.currentTarget.dataset.key;
+        if (this.disableDeviceSwitch || key === this.activeDevice?.key) {
+            return;
+        }
+        this.switchToDevice(key);
+    }
+
+    handleNextDevice() {
+        const nextDevice = this.nextPendingDevice;
+        if (nextDevice) {
+            this.switchToDevice(nextDevice.key);
+        }
+    }
+
+    switchToDevice(key) {
+        this.snapshotActiveDevice();
+        this.clearFailure();
+        this.handleOverrideCancel();
+        this.activeDeviceKey = key;
+        this.applyDeviceState(this.deviceStates[key]);
+    }
+
+    snapshotActiveDevice() {
+        const activeKey = this.activeDevice?.key;
+        if (activeKey) {
+            this.deviceStates = { ...this.deviceStates, [activeKey]: captureDeviceState(this) };
+        }
+    }
+
+    applyDeviceState(state) {
+        if (!state) {
+            this.resetDeviceState();
+            return;
+        }
+        DEVICE_STATE_FIELDS.forEach(field => {
+            if (state[field] !== undefined) {
+                this[field] = state[field];
+            }
+        });
+        this.provisioningLog = state.provisioningLog || [];
+        this.serialError = '';
+        this.isChangingCpe = false;
+    }
+
+    resetDeviceState() {
+        this.resetWorkflow();
+        this.provisioningLog = [];
+        this.manualSerialNumber = '';
+        this.manualSerialEntered = false;
+        this.scannedMacAddress = '';
+        this.serialError = '';
+        this.deviceWarning = '';
+        this.isChangingCpe = false;
+    }
+
+    // Checkpoint helpers
+    saveCheckpoint() {
+        if (!this.recordId) {
+            return;
+        }
+        this.sessionDirty = true;
+        this.snapshotActiveDevice();
+        const json = serializeCheckpoint(buildCheckpoint(this.activeDevice?.key, this.deviceStates));
+        saveLocalCheckpoint(this.recordId, json);
+        this.writeRecordCheckpoint(json);
+    }
+
+    clearCheckpoint() {
+        if (!this.recordId) {
+            return;
+        }
+        this.sessionDirty = true;
+        clearLocalCheckpoint(this.recordId);
+        this.writeRecordCheckpoint(null);
+    }
+
+    // Best effort - the local checkpoint already covers this device
+    writeRecordCheckpoint(json) {
+        if (!hasField(this.getObjectInfo(SERVICE_APPOINTMENT_OBJECT.objectApiName), CHECKPOINT_FIELD)) {
+            return;
+        }
+        const fields = {};
+        fields[SA_ID.fieldApiName] = this.recordId;
+        fields[CHECKPOINT_FIELD] = json;
+        updateRecord({ fields }).catch(error => {
+            console.error('Error saving provisioning checkpoint:', error);
+        });
+    }
+
+    // Restore a checkpoint unless this session has already made progress of its own
+    restoreCheckpoint(checkpoint) {
+        if (!checkpoint || this.sessionDirty || this.isProcessing) {
+            return;
+        }
+        // Keep what is already restored unless this checkpoint is strictly newer
+        if (newerCheckpoint(this.resumedCheckpoint, checkpoint) !== checkpoint) {
+            return;
+        }
+
+        this.deviceStates = checkpoint.devices || {};
+        this.activeDeviceKey = checkpoint.activeDeviceKey;
+        this.applyDeviceState(this.deviceStates[checkpoint.activeDeviceKey]);
+        this.resumedCheckpoint = checkpoint;
+    }
+
+    resetWorkflow() {
+        this.currentStep = 1;
+        this.adaptStatus = ADAPT_STATUS.DISCONNECTED;
+        this.isProvisioned = false;
+        this.provisioningComplete = false;
+        this.resultsSaved = false;
+        this.saveError = '';
+        this.savedAssetId = null;
+        this.retireAssetId = null;
+        this.savedAttributeKeys = [];
+        this.attributesSaved = false;
+        this.macAddress = '';
+        this.signalStrength = null;
+        this.opticalPower = null;
+        this.connectionSpeed = null;
+        this.signalTestResult = null;
+        this.supervisorOverride = null;
+        this.handleOverrideCancel();
+        this.skippedSteps = [];
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CloseActionScreenEvent());
     }
 }
@@ -0,0 +1,238 @@
+/**
+ * Provisioning adapters for the CPE Provisioning component
+ *
+ * Every adapter implements the same operations, each returning a Promise of
+ * { success, message, errorCode, data } and writing progress through the log callback:
+ *   connect(request, log)    - open a session with the provisioning system
+ *   validate(request, log)   - validate the CPE serial, returns data.macAddress
+ *   provision(request, log)  - create the service profile / VLAN / QoS
+ *   test(request, log)       - signal test, returns data.signalStrength, data.opticalPower, data.connectionSpeed
+ *   activate(request, log)   - enable the data path
+ *   rollback(request, log)   - undo provisioning for the CPE
+ *
+ * request carries the appointment context: serviceAppointmentId, workOrderId,
+ * workOrderNumber, accountName, assetId, serialNumber, productName, productFamily, macAddress
+ *
+ * A failed operation resolves with success: false, an errorCode and a message
+ * rather than rejecting, so the component can offer retry / skip / abort.
+ */
+import invokeProvisioningOperation from '@salesforce/apex/CpeProvisioningController.invokeProvisioningOperation';
+
+export const ADAPTER_TYPES = {
+    SIMULATOR: 'simulator',
+    APEX: 'apex'
+};
+
+// Serial number patterns the simulator treats as unhappy paths
+const SIMULATED_BAD_SERIAL_PREFIXES = ['ERR', 'BAD'];
+const SIMULATED_WEAK_SIGNAL_MARKER = 'WEAK';
+
+/**
+ * Simulated ADAPT system - canned responses with realistic delays for demos and desktop testing
+ *
+ * Failure injection:
+ *   - serial starting with ERR or BAD  -> validate fails with SERIAL_NOT_FOUND
+ *   - serial containing WEAK           -> test returns readings below the acceptance limits
+ *   - failOperation (e.g. 'provision') -> that operation fails with SIMULATED_FAILURE
+ */
+export class SimulatorAdapter {
+    constructor(failOperation) {
+        this.failOperation = failOperation;
+    }
+
+    get systemName() {
+        return 'ADAPT';
+    }
+
+    async connect(request, log) {
+        const customerContext = request.accountName ? ` for ${request.accountName}` : '';
+        log(`Connecting to ADAPT${customerContext}...`, 'info');
+        await this.delay(1500);
+        if (this.failOperation === 'connect') {
+            return this.simulatedFailure('ADAPT gateway timed out');
+        }
+        log('ADAPT connection established', 'success');
+        return { success: true };
+    }
+
+    async validate(request, log) {
+        log(`Validating: ${request.serialNumber}`, 'info');
+        await this.delay(2000);
+        const serial = (request.serialNumber || '').toUpperCase();
+        if (SIMULATED_BAD_SERIAL_PREFIXES.some(prefix => serial.startsWith(prefix))) {
+            return {
+                success: false,
+                errorCode: 'SERIAL_NOT_FOUND',
+                message: `Serial ${request.serialNumber} not found in ADAPT inventory`
+            };
+        }
+        if (this.failOperation === 'validate') {
+            return this.simulatedFailure('Serial validation rejected by ADAPT');
+        }
+        const macAddress = this.generateMacAddress();
+        log('Serial validated', 'success');
+        log(`MAC: ${macAddress}`, 'info');
+        return { success: true, data: { macAddress } };
+    }
+
+    async provision(request, log) {
+        log('Provisioning CPE...', 'info');
+
+        await this.delay(1000);
+        log('Creating service profile', 'info');
+
+        await this.delay(1500);
+        log('Configuring VLAN', 'info');
+
+        await this.delay(1000);
+        log('Setting QoS parameters', 'info');
+
+        await this.delay(1500);
+        if (this.failOperation === 'provision') {
+            return this.simulatedFailure('VLAN assignment failed - no free VLAN on OLT port');
+        }
+        log('CPE provisioned', 'success');
+        return { success: true };
+    }
+
+    async test(request, log) {
+        log('Running signal test...', 'info');
+        await this.delay(2000);
+
+        const serial = (request.serialNumber || '').toUpperCase();
+        if (serial.includes(SIMULATED_WEAK_SIGNAL_MARKER)) {
+            const data = {
+                signalStrength: '-' + (Math.floor(Math.random() * 4) + 31) + ' dBm',
+                opticalPower: (Math.random() * 0.3 + 0.1).toFixed(2) + ' mW',
+                connectionSpeed: '100 Mbps'
+            };
+            log(`Signal: ${data.signalStrength}`, 'info');
+            return { success: true, data };
+        }
+        if (this.failOperation === 'test') {
+            return this.simulatedFailure('Signal test did not complete - ONT not responding');
+        }
+
+        const data = {
+            signalStrength: '-' + (Math.floor(Math.random() * 10) + 18) + ' dBm',
+            opticalPower: (Math.random() * 2 + 1).toFixed(2) + ' mW',
+            connectionSpeed: '1 Gbps'
+        };
+        log(`Signal: ${data.signalStrength}`, 'success');
+        return { success: true, data };
+    }
+
+    async activate(request, log) {
+        log('Activating service...', 'info');
+
+        await this.delay(2000);
+        log('Enabling data path', 'info');
+
+        await this.delay(1500);
+        log('Verifying connectivity', 'info');
+
+        await this.delay(1000);
+        if (this.failOperation === 'activate') {
+            return this.simulatedFailure('Connectivity check failed - no DHCP lease');
+        }
+        const customerContext = request.accountName ? ` - ${request.accountName}` : '';
+        log(`SERVICE ACTIVATED${customerContext}`, 'success');
+        return { success: true };
+    }
+
+    async rollback(request, log) {
+        log('Rolling back provisioning...', 'info');
+        await this.delay(1500);
+        log('Service profile removed', 'info');
+        return { success: true };
+    }
+
+    simulatedFailure(message) {
+        return { success: false, errorCode: 'SIMULATED_FAILURE', message };
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    generateMacAddress() {
+        const hex = '0123456789ABCDEF';
+        let mac = '';
+        for (let i = 0; i < 6; i++) {
+            mac += hex.charAt(Math.floor(Math.random() * 16));
+            mac += hex.charAt(Math.floor(Math.random() * 16));
+            if (i < 5) mac += ':';
+        }
+        return mac;
+    }
+}
+
+/**
+ * Real provisioning system reached through CpeProvisioningController and a Named Credential
+ * The server picks the Named Credential - systemName only labels the log
+ */
+export class ApexAdapter {
+    constructor(systemName) {
+        this.name = systemName;
+    }
+
+    get systemName() {
+        return this.name || 'OSS';
+    }
+
+    connect(request, log) {
+        log(`Connecting to ${this.systemName}...`, 'info');
+        return this.invoke('connect', request, log);
+    }
+
+    validate(request, log) {
+        log(`Validating: ${request.serialNumber}`, 'info');
+        return this.invoke('validate', request, log);
+    }
+
+    provision(request, log) {
+        log('Provisioning CPE...', 'info');
+        return this.invoke('provision', request, log);
+    }
+
+    test(request, log) {
+        log('Running signal test...', 'info');
+        return this.invoke('test', request, log);
+    }
+
+    activate(request, log) {
+        log('Activating service...', 'info');
+        return this.invoke('activate', request, log);
+    }
+
+    rollback(request, log) {
+        log('Rolling back provisioning...', 'info');
+        return this.invoke('rollback', request, log);
+    }
+
+    async invoke(operation, request, log) {
+        const response = await invokeProvisioningOperation({
+            operation,
+            payload: JSON.stringify(request)
+        });
+
+        (response.log || []).forEach(line => log(line, 'info'));
+        // Failure messages are logged by the component together with the error code
+        if (response.success && response.message) {
+            log(response.message, 'success');
+        }
+        return {
+            success: response.success,
+            message: response.message,
+            errorCode: response.errorCode,
+            data: response.data || {}
+        };
+    }
+}
+
+export function createProvisioningAdapter(adapterType, systemName, simulatedFailure) {
+    if (adapterType === ADAPTER_TYPES.APEX) {
+        return new ApexAdapter(systemName);
+    }
+    return new SimulatorAdapter(simulatedFailure);
+}
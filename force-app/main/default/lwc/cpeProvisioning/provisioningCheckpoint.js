@@ -0,0 +1,121 @@
+/**
+ * Checkpoints for resuming an interrupted CPE Provisioning session
+ *
+ * A checkpoint is written after every completed step, both to localStorage
+ * (survives the quick action closing or the app being backgrounded) and to the
+ * Service Appointment's optional checkpoint field (survives a device change).
+ * On open, the newer of the two is restored.
+ *
+ * A checkpoint holds the working state of every device in the session, keyed
+ * by device, plus the device that was active.
+ */
+
+// Optional Long Text Area on ServiceAppointment holding the checkpoint JSON
+export const CHECKPOINT_FIELD = 'CPE_Provisioning_Checkpoint__c';
+
+const STORAGE_KEY_PREFIX = 'cpeProvisioning:';
+const CHECKPOINT_VERSION = 2;
+
+// Long Text Area limit - older log lines are dropped first
+const MAX_CHECKPOINT_LENGTH = 131072;
+
+// Component fields that make up one device's working state
+export const DEVICE_STATE_FIELDS = [
+    'currentStep',
+    'adaptStatus',
+    'provisioningLog',
+    'manualSerialNumber',
+    'manualSerialEntered',
+    'scannedMacAddress',
+    'deviceWarning',
+    'macAddress',
+    'signalStrength',
+    'opticalPower',
+    'connectionSpeed',
+    'signalTestResult',
+    'supervisorOverride',
+    'skippedSteps',
+    'isProvisioned',
+    'provisioningComplete',
+    'resultsSaved',
+    'savedAssetId',
+    'retireAssetId',
+    'savedAttributeKeys',
+    'attributesSaved'
+];
+
+export function captureDeviceState(source) {
+    const state = {};
+    DEVICE_STATE_FIELDS.forEach(field => {
+        state[field] = source[field];
+    });
+    return state;
+}
+
+export function buildCheckpoint(activeDeviceKey, deviceStates) {
+    return {
+        version: CHECKPOINT_VERSION,
+        savedAt: new Date().toISOString(),
+        activeDeviceKey,
+        devices: deviceStates
+    };
+}
+
+export function serializeCheckpoint(checkpoint) {
+    let json = JSON.stringify(checkpoint);
+    const devices = { ...checkpoint.devices };
+    while (json.length > MAX_CHECKPOINT_LENGTH) {
+        // Trim the longest device log by a quarter until the checkpoint fits
+        const longestKey = Object.keys(devices).reduce((longest, key) => (
+            !longest || (devices[key].provisioningLog || []).length > (devices[longest].provisioningLog || []).length
+                ? key
+                : longest
+        ), null);
+        const log = devices[longestKey]?.provisioningLog || [];
+        if (log.length === 0) break;
+        devices[longestKey] = { ...devices[longestKey], provisioningLog: log.slice(Math.ceil(log.length / 4)) };
+        json = JSON.stringify({ ...checkpoint, devices });
+    }
+    return json;
+}
+
+export function parseCheckpoint(json) {
+    if (!json) return null;
+    try {
+        const checkpoint = JSON.parse(json);
+        return checkpoint?.version === CHECKPOINT_VERSION ? checkpoint : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The more recently saved of two checkpoints (either may be null)
+export function newerCheckpoint(first, second) {
+    if (!first) return second;
+    if (!second) return first;
+    return new Date(first.savedAt) >= new Date(second.savedAt) ? first : second;
+}
+
+export function loadLocalCheckpoint(serviceAppointmentId) {
+    try {
+        return parseCheckpoint(localStorage.getItem(STORAGE_KEY_PREFIX + serviceAppointmentId));
+    } catch (error) {
+        return null;
+    }
+}
+
+export function saveLocalCheckpoint(serviceAppointmentId, json) {
+    try {
+        localStorage.setItem(STORAGE_KEY_PREFIX + serviceAppointmentId, json);
+    } catch (error) {
+        // Storage full or unavailable - the record checkpoint still applies
+    }
+}
+
+export function clearLocalCheckpoint(serviceAppointmentId) {
+    try {
+        localStorage.removeItem(STORAGE_KEY_PREFIX + serviceAppointmentId);
+    } catch (error) {
+        // Nothing to clear
+    }
+}
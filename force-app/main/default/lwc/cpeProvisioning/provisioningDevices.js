@@ -0,0 +1,36 @@
+/**
+ * Device list for a CPE Provisioning session
+ *
+ * An install can cover several devices (e.g. an ONT plus routers/switches). They come from:
+ *   workOrder  - the Work Order's Asset (primary device)
+ *   lineItem   - Assets on the Work Order Line Items
+ *   childAsset - Assets whose ParentId is the primary device
+ * Each Asset appears once. With no Asset at all, a single 'manual' device is
+ * provisioned from a scanned or typed serial.
+ */
+export const DEVICE_SOURCES = {
+    WORK_ORDER: 'workOrder',
+    LINE_ITEM: 'lineItem',
+    CHILD_ASSET: 'childAsset',
+    MANUAL: 'manual'
+};
+
+export function buildDeviceList(workOrder, lineItems, childAssets) {
+    const devices = [];
+    const seen = new Set();
+
+    const addDevice = (asset, source, workOrderLineItemId) => {
+        if (!asset?.Id || seen.has(asset.Id)) return;
+        seen.add(asset.Id);
+        devices.push({ key: asset.Id, source, asset, workOrderLineItemId });
+    };
+
+    addDevice(workOrder?.Asset, DEVICE_SOURCES.WORK_ORDER);
+    (lineItems || []).forEach(lineItem => addDevice(lineItem.Asset, DEVICE_SOURCES.LINE_ITEM, lineItem.Id));
+    (childAssets || []).forEach(asset => addDevice(asset, DEVICE_SOURCES.CHILD_ASSET));
+
+    if (devices.length === 0) {
+        devices.push({ key: DEVICE_SOURCES.MANUAL, source: DEVICE_SOURCES.MANUAL, asset: null });
+    }
+    return devices;
+}
@@ -0,0 +1,90 @@
+/**
+ * Record builders for saving CPE Provisioning results back to Salesforce
+ *
+ * The component writes these through uiRecordApi so the saves queue offline
+ * and sync with the rest of the appointment. Custom fields are optional and
+ * only included when the org's object info reports them.
+ */
+
+// Optional custom fields written when present in the org
+export const OPTIONAL_FIELDS = {
+    ASSET_MAC_ADDRESS: 'MAC_Address__c',
+    WORK_ORDER_LOG: 'CPE_Provisioning_Log__c',
+    SA_PROVISIONING_STATUS: 'CPE_Provisioning_Status__c'
+};
+
+// AttributeDefinition.DeveloperName used to store each signal test check as an AssetAttribute
+export const TEST_ATTRIBUTE_DEFINITIONS = {
+    rxPower: 'CPE_Rx_Power',
+    opticalPower: 'CPE_Optical_Power',
+    throughput: 'CPE_Throughput'
+};
+
+// Asset.Status values used when a CPE is installed or swapped out
+export const ASSET_STATUS = {
+    INSTALLED: 'Installed',
+    REPLACED: 'Obsolete'
+};
+
+export const PROVISIONING_STATUS = {
+    ACTIVATED: 'Activated',
+    ACTIVATED_OVERRIDE: 'Activated - Supervisor Override'
+};
+
+// Long Text Area limit for the Work Order log field
+const MAX_LOG_LENGTH = 131072;
+
+export function hasField(objectInfo, fieldApiName) {
+    return objectInfo?.fields?.[fieldApiName] != null;
+}
+
+/**
+ * Plain-text provisioning log for the Work Order - one section per device, each a summary
+ * header followed by every log line
+ * sections: [{ deviceName, serialNumber, macAddress, verdict, supervisorOverride, skippedSteps, logEntries }]
+ */
+export function formatProvisioningLog(sections) {
+    const text = sections.map(formatLogSection).join('\n\n');
+    return text.length > MAX_LOG_LENGTH ? text.substring(text.length - MAX_LOG_LENGTH) : text;
+}
+
+function formatLogSection(summary) {
+    const header = [
+        `CPE Provisioning - ${summary.deviceName || 'CPE'} - ${new Date().toISOString()}`,
+        `Serial: ${summary.serialNumber || 'N/A'}`,
+        `MAC: ${summary.macAddress || 'N/A'}`,
+        `Signal test: ${summary.verdict || 'Not run'}`
+    ];
+    if (summary.supervisorOverride) {
+        const override = summary.supervisorOverride;
+        header.push(`Override: ${override.supervisor} (${override.supervisorId || 'no user'}) - ${override.reason}`);
+        header.push(`Override requested by: ${override.requestedById || 'unknown'}`);
+    }
+    (summary.skippedSteps || []).forEach(step => {
+        header.push(`Skipped ${step.operation} [${step.errorCode}]: ${step.reason}`);
+    });
+
+    const lines = (summary.logEntries || []).map(entry => `${entry.timestamp} [${entry.type.toUpperCase()}] ${entry.message}`);
+    return [...header, '', ...lines].join('\n');
+}
+
+/**
+ * AssetAttribute record inputs for the signal test checks that have a matching AttributeDefinition
+ * definitionIds maps DeveloperName -> AttributeDefinition Id
+ * Returns [{ key, recordInput }] - key is the check's key, so a retry can skip records already created
+ */
+export function buildTestAttributeRecords(assetId, checks, definitionIds) {
+    return (checks || [])
+        .filter(check => check.reading != null && definitionIds[TEST_ATTRIBUTE_DEFINITIONS[check.key]])
+        .map(check => ({
+            key: check.key,
+            recordInput: {
+                apiName: 'AssetAttribute',
+                fields: {
+                    AssetId: assetId,
+                    AttributeDefinitionId: definitionIds[TEST_ATTRIBUTE_DEFINITIONS[check.key]],
+                    AttributeValue: String(check.reading)
+                }
+            }
+        }));
+}
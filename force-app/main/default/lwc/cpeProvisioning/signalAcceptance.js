@@ -0,0 +1,140 @@
+/**
+ * Signal test acceptance limits for the CPE Provisioning component
+ *
+ * Limits are keyed by Product2.Family; families without an entry use 'default'.
+ * A limit left null is not checked (e.g. routers have no optical interface).
+ *   minRxPower / maxRxPower - received signal strength window in dBm
+ *   minOpticalPower         - optical power in mW
+ *   minThroughput           - connection speed in Mbps
+ *
+ * The component's acceptanceLimits property takes a JSON object in the same shape;
+ * its entries are merged over these defaults family by family.
+ */
+export const DEFAULT_ACCEPTANCE_LIMITS = {
+    default: { minRxPower: -27, maxRxPower: -8, minOpticalPower: 0.5, minThroughput: 500 },
+    'GPON ONT': { minRxPower: -27, maxRxPower: -8, minOpticalPower: 0.5, minThroughput: 900 },
+    'XGS-PON ONT': { minRxPower: -28, maxRxPower: -9, minOpticalPower: 0.5, minThroughput: 900 },
+    'Router': { minRxPower: null, maxRxPower: null, minOpticalPower: null, minThroughput: 500 }
+};
+
+export const VERDICT = {
+    PASS: 'PASS',
+    FAIL: 'FAIL'
+};
+
+/**
+ * Limits for a product family, with any JSON overrides applied
+ * Invalid override JSON is ignored and reported through the optional onError callback
+ */
+export function resolveAcceptanceLimits(productFamily, overridesJson, onError) {
+    let overrides = {};
+    if (overridesJson) {
+        try {
+            overrides = JSON.parse(overridesJson) || {};
+        } catch (error) {
+            if (onError) {
+                onError(`Invalid acceptance limits JSON - using defaults (${error.message})`);
+            }
+        }
+    }
+
+    const familyKey = productFamily && (overrides[productFamily] || DEFAULT_ACCEPTANCE_LIMITS[productFamily])
+        ? productFamily
+        : 'default';
+
+    return {
+        family: familyKey,
+        ...DEFAULT_ACCEPTANCE_LIMITS.default,
+        ...DEFAULT_ACCEPTANCE_LIMITS[familyKey],
+        ...overrides.default,
+        ...overrides[familyKey]
+    };
+}
+
+/**
+ * Evaluate signal test readings ({ signalStrength, opticalPower, connectionSpeed })
+ * Returns { verdict, checks } where each check has label, value (display), reading (number), limit and passed
+ */
+export function evaluateSignalTest(readings, limits) {
+    const rxPower = parseNumber(readings?.signalStrength);
+    const opticalPower = parseNumber(readings?.opticalPower);
+    const throughput = parseThroughputMbps(readings?.connectionSpeed);
+
+    const checks = [];
+
+    if (limits.minRxPower != null || limits.maxRxPower != null) {
+        const withinMin = limits.minRxPower == null || rxPower >= limits.minRxPower;
+        const withinMax = limits.maxRxPower == null || rxPower <= limits.maxRxPower;
+        checks.push(buildCheck(
+            'rxPower',
+            'Rx Power',
+            readings?.signalStrength,
+            rxPower,
+            formatRange(limits.minRxPower, limits.maxRxPower, 'dBm'),
+            rxPower != null && withinMin && withinMax
+        ));
+    }
+
+    if (limits.minOpticalPower != null) {
+        checks.push(buildCheck(
+            'opticalPower',
+            'Optical Power',
+            readings?.opticalPower,
+            opticalPower,
+            `≥ ${limits.minOpticalPower} mW`,
+            opticalPower != null && opticalPower >= limits.minOpticalPower
+        ));
+    }
+
+    if (limits.minThroughput != null) {
+        checks.push(buildCheck(
+            'throughput',
+            'Throughput',
+            readings?.connectionSpeed,
+            throughput,
+            `≥ ${limits.minThroughput} Mbps`,
+            throughput != null && throughput >= limits.minThroughput
+        ));
+    }
+
+    const passed = checks.every(check => check.passed);
+    return {
+        verdict: passed ? VERDICT.PASS : VERDICT.FAIL,
+        checks
+    };
+}
+
+function buildCheck(key, label, value, reading, limit, passed) {
+    return {
+        key,
+        label,
+        value: value || 'No reading',
+        reading,
+        limit,
+        passed,
+        cssClass: passed ? 'check-row check-pass' : 'check-row check-fail',
+        iconName: passed ? 'utility:success' : 'utility:error'
+    };
+}
+
+function formatRange(min, max, unit) {
+    if (min != null && max != null) return `${min} to ${max} ${unit}`;
+    if (min != null) return `≥ ${min} ${unit}`;
+    return `≤ ${max} ${unit}`;
+}
+
+function parseNumber(value) {
+    if (value == null || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+// '1 Gbps' -> 1000, '940 Mbps' -> 940, plain numbers are taken as Mbps
+function parseThroughputMbps(value) {
+    const number = parseNumber(value);
+    if (number == null) return null;
+    const unit = String(value).toLowerCase();
+    if (unit.includes('gbps')) return number * 1000;
+    if (unit.includes('kbps')) return number / 1000;
+    return number;
+}
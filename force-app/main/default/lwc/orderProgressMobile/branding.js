@@ -0,0 +1,90 @@
+/**
+ * Branding for the Order Progress card - logo, accent color, footer text and technician guidance
+ *
+ * The component's logoUrl, accentColor and footerText properties are the default branding.
+ * The brandingRules property takes a JSON array of rules overriding it per customer or order type:
+ *   account     - Account Id, or text the Account name contains
+ *   orderType   - Order Type, matched case-insensitively
+ *   logoUrl, accentColor, footerText - replace the defaults when set
+ *   techGuidance - { stage number or name: text } replacing the stage's fieldTechInfo
+ * A rule matches when all of its account and orderType conditions hold; the first match wins.
+ */
+
+export const DEFAULT_FOOTER_TEXT = 'Order Fulfillment Journey';
+
+// Hex, rgb()/hsl() or a named color - anything else could break out of the style attribute
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|rgba|hsl|hsla)\([\d\s.,%]+\)|[a-z]+)$/i;
+
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+/**
+ * Branding rules from the brandingRules JSON, or none
+ * Invalid JSON is ignored and reported through the optional onError callback
+ */
+export function resolveBrandingRules(rulesJson, onError) {
+    if (!rulesJson) {
+        return [];
+    }
+    try {
+        const rules = JSON.parse(rulesJson);
+        if (!Array.isArray(rules)) {
+            throw new Error('expected an array of rules');
+        }
+        return rules.filter(rule => rule && typeof rule === 'object');
+    } catch (error) {
+        if (onError) {
+            onError(`Invalid branding rules JSON - using default branding (${error.message})`);
+        }
+        return [];
+    }
+}
+
+/**
+ * Branding for an Order
+ * defaults: { logoUrl, accentColor, footerText }, context: { accountId, accountName, orderType }
+ * Returns { logoUrl, accentColor, footerText, techGuidance }
+ */
+export function selectBranding(defaults, rules, context) {
+    const rule = (rules || []).find(candidate => ruleMatches(candidate, context || {})) || {};
+    return {
+        logoUrl: rule.logoUrl || defaults.logoUrl || '',
+        accentColor: validColor(rule.accentColor) || validColor(defaults.accentColor) || '',
+        footerText: rule.footerText || defaults.footerText || DEFAULT_FOOTER_TEXT,
+        techGuidance: rule.techGuidance && typeof rule.techGuidance === 'object' ? rule.techGuidance : {}
+    };
+}
+
+/**
+ * Technician guidance for a stage - by stage number, then stage name, else the stage mapping's fieldTechInfo
+ */
+export function techGuidanceFor(branding, stage) {
+    const guidance = branding.techGuidance;
+    return guidance[stage.stage] || guidance[stage.name] || stage.fieldTechInfo || '';
+}
+
+function ruleMatches(rule, context) {
+    if (!rule.account && !rule.orderType) {
+        return false;
+    }
+    if (rule.account && !accountMatches(String(rule.account), context)) {
+        return false;
+    }
+    if (rule.orderType && String(rule.orderType).toLowerCase() !== (context.orderType || '').toLowerCase()) {
+        return false;
+    }
+    return true;
+}
+
+function accountMatches(account, context) {
+    // 15 and 18 character Ids share their first 15 characters
+    if (SALESFORCE_ID_PATTERN.test(account) && context.accountId
+        && account.substring(0, 15) === context.accountId.substring(0, 15)) {
+        return true;
+    }
+    return (context.accountName || '').toLowerCase().includes(account.toLowerCase());
+}
+
+function validColor(color) {
+    const value = (color || '').trim();
+    return COLOR_PATTERN.test(value) ? value : '';
+}
@@ -0,0 +1,106 @@
+/**
+ * Dependency graph layout and blocker detection for an Order Progress journey
+ *
+ * Stages are laid out in levels (rows) and lanes (columns): a finish-to-start dependency
+ * puts a stage on the level after its upstream stage, start-to-start and finish-to-finish
+ * keep it on the same level in a parallel lane.
+ */
+import { STAGE_STATUS, DEPENDENCY_TYPE } from './orchestrationJourney';
+
+// Short dependency type codes shown on graph edges
+export const DEPENDENCY_CODES = {
+    [DEPENDENCY_TYPE.FINISH_TO_START]: 'FS',
+    [DEPENDENCY_TYPE.START_TO_START]: 'SS',
+    [DEPENDENCY_TYPE.FINISH_TO_FINISH]: 'FF'
+};
+
+/**
+ * Level and lane per stage
+ * Returns { positions: Map(stage -> { level, lane }), levelCount, laneCount }
+ */
+export function layoutJourneyGraph(stages) {
+    const byStage = new Map(stages.map(stage => [stage.stage, stage]));
+    const levels = new Map();
+
+    const levelOf = (stage, visiting = new Set()) => {
+        if (levels.has(stage.stage)) return levels.get(stage.stage);
+        if (visiting.has(stage.stage)) return 0;
+        visiting.add(stage.stage);
+
+        let level = 0;
+        (stage.dependencies || []).forEach(dep => {
+            const upstream = byStage.get(dep.stage);
+            if (!upstream) return;
+            const upstreamLevel = levelOf(upstream, visiting);
+            level = Math.max(level, dep.type === DEPENDENCY_TYPE.FINISH_TO_START ? upstreamLevel + 1 : upstreamLevel);
+        });
+        levels.set(stage.stage, level);
+        return level;
+    };
+    stages.forEach(stage => levelOf(stage));
+
+    // Lanes - a stage keeps the lane of its first finish-to-start upstream stage when it is free
+    const positions = new Map();
+    const usedLanes = new Map();
+    let laneCount = 1;
+    [...stages]
+        .sort((a, b) => levels.get(a.stage) - levels.get(b.stage))
+        .forEach(stage => {
+            const level = levels.get(stage.stage);
+            const taken = usedLanes.get(level) || new Set();
+            const upstream = (stage.dependencies || []).find(dep => dep.type === DEPENDENCY_TYPE.FINISH_TO_START && positions.has(dep.stage));
+            let lane = upstream ? positions.get(upstream.stage).lane : 0;
+            while (taken.has(lane)) {
+                lane++;
+            }
+            taken.add(lane);
+            usedLanes.set(level, taken);
+            positions.set(stage.stage, { level, lane });
+            laneCount = Math.max(laneCount, lane + 1);
+        });
+
+    const levelCount = stages.length ? Math.max(...levels.values()) + 1 : 0;
+    return { positions, levelCount, laneCount };
+}
+
+/**
+ * The upstream stage holding up a stage, followed back to the stage actually at work
+ * A finish-to-start or finish-to-finish dependency holds while the upstream stage is unfinished,
+ * a start-to-start dependency while it has not started.
+ * Returns { stage, name, type, stepName, status } or null when nothing is blocking
+ */
+export function findBlocker(stages, stageNumber) {
+    const byStage = new Map(stages.map(stage => [stage.stage, stage]));
+    const visited = new Set();
+
+    const blockerOf = stage => {
+        if (!stage || visited.has(stage.stage) || stage.status === STAGE_STATUS.COMPLETED) return null;
+        visited.add(stage.stage);
+
+        for (const dep of stage.dependencies || []) {
+            const upstream = byStage.get(dep.stage);
+            if (upstream && isHolding(dep, upstream)) {
+                const deeper = upstream.status === STAGE_STATUS.PENDING ? blockerOf(upstream) : null;
+                if (deeper) return deeper;
+                const openStep = upstream.steps.find(step => !step.complete);
+                return {
+                    stage: upstream.stage,
+                    name: upstream.name,
+                    type: dep.type,
+                    stepName: openStep ? openStep.name : '',
+                    status: upstream.status
+                };
+            }
+        }
+        return null;
+    };
+
+    return blockerOf(byStage.get(stageNumber));
+}
+
+function isHolding(dep, upstream) {
+    if (dep.type === DEPENDENCY_TYPE.START_TO_START) {
+        return upstream.status === STAGE_STATUS.PENDING || upstream.status === STAGE_STATUS.READY;
+    }
+    return upstream.status !== STAGE_STATUS.COMPLETED;
+}
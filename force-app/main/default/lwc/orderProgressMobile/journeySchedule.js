@@ -0,0 +1,232 @@
+/**
+ * Progress and projected completion for an Order Progress journey
+ *
+ * Each stage has a planned window: from the order start, stages are placed after their
+ * dependencies (finish-to-start after the upstream stage ends, start-to-start with it,
+ * finish-to-finish ending no earlier than it) and take their plannedDurationHours.
+ * The projection replays the same graph with what actually happened - completed stages
+ * end when their last item completed, running stages finish their remaining share of
+ * planned time from now, and pending stages follow on. A stage is late when its actual
+ * or projected end passes its planned end.
+ */
+import { STAGE_STATUS, DEPENDENCY_TYPE } from './orchestrationJourney';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Weight for stages without a planned duration
+const DEFAULT_STAGE_HOURS = 24;
+
+// Grace period before a stage is flagged late
+const LATE_TOLERANCE_MS = HOUR_MS;
+
+/**
+ * Schedule a journey
+ * options: { orderStart, now, knowsStepProgress } - knowsStepProgress is false when step
+ * completion of the running stage is not known (fulfillment and demo journeys)
+ * Returns { progressPercentage, projectedCompletion, isLate, criticalPath, stages: { [stage]: schedule } }
+ * criticalPath lists the stage numbers that drive the projected completion, first to last
+ */
+export function scheduleJourney(journey, options = {}) {
+    const now = (options.now || new Date()).getTime();
+    const stages = orderByDependencies(journey.stages || []);
+
+    const orderStart = toTime(options.orderStart) || estimateOrderStart(stages, now);
+    const planned = planStages(stages, orderStart);
+
+    let weightedDone = 0;
+    let totalWeight = 0;
+    const projected = {};
+    const schedules = {};
+
+    stages.forEach(stage => {
+        const hours = stage.plannedDurationHours || DEFAULT_STAGE_HOURS;
+        const plannedMs = hours * HOUR_MS;
+        const fraction = stageFraction(stage);
+        const completed = stage.status === STAGE_STATUS.COMPLETED;
+
+        const constraint = dependencyConstraint(stage, projected, plannedMs, orderStart);
+        const actualStart = earliest(stage.steps.map(step => toTime(step.startedAt)));
+        const actualEnd = completed ? latest(stage.steps.map(step => toTime(step.completedAt))) : null;
+
+        let start;
+        let end;
+        if (completed) {
+            start = actualStart || constraint.start;
+            end = actualEnd || start + plannedMs;
+        } else if (isUnderway(stage)) {
+            const remainingMs = options.knowsStepProgress ? plannedMs * (1 - fraction) : 0;
+            start = actualStart || constraint.start;
+            end = Math.max(start + plannedMs, now + remainingMs, constraint.finish);
+        } else {
+            start = Math.max(constraint.start, now);
+            end = Math.max(start + plannedMs, constraint.finish);
+        }
+        projected[stage.stage] = { start, end, driver: constraint.driver };
+
+        const plan = planned[stage.stage];
+        schedules[stage.stage] = {
+            plannedStart: new Date(plan.start),
+            plannedEnd: new Date(plan.end),
+            projectedStart: new Date(start),
+            projectedEnd: new Date(end),
+            actualEnd: actualEnd ? new Date(actualEnd) : null,
+            progress: Math.round(fraction * 100),
+            isLate: end > plan.end + LATE_TOLERANCE_MS
+        };
+
+        weightedDone += hours * fraction;
+        totalWeight += hours;
+    });
+
+    const lastStage = stages.reduce((last, stage) => (
+        !last || projected[stage.stage].end > projected[last.stage].end ? stage : last
+    ), null);
+    const plannedCompletion = Math.max(...stages.map(stage => planned[stage.stage].end));
+    const projectedCompletion = lastStage ? projected[lastStage.stage].end : null;
+
+    return {
+        progressPercentage: journey.isComplete ? 100 : (totalWeight ? Math.round((weightedDone / totalWeight) * 100) : 0),
+        projectedCompletion: projectedCompletion ? new Date(projectedCompletion) : null,
+        isLate: projectedCompletion != null && projectedCompletion > plannedCompletion + LATE_TOLERANCE_MS,
+        criticalPath: lastStage ? traceCriticalPath(lastStage.stage, projected) : [],
+        stages: schedules
+    };
+}
+
+/**
+ * '6 hours', '2 days', '2 weeks' from a planned duration
+ */
+export function formatDuration(hours) {
+    if (hours == null) return '';
+    if (hours < 24) return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+    const days = Math.round(hours / 24);
+    if (days >= 14 && days % 7 === 0) return `${days / 7} weeks`;
+    return `${days} ${days === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Short date, with the time when the stage spans less than two days
+ */
+export function formatScheduleDate(date, withTime) {
+    if (!date) return '';
+    const options = { month: 'short', day: 'numeric' };
+    if (withTime) {
+        options.hour = 'numeric';
+        options.minute = '2-digit';
+    }
+    return date.toLocaleString(undefined, options);
+}
+
+// Planned windows from the order start, ignoring what has actually happened
+function planStages(stages, orderStart) {
+    const planned = {};
+    stages.forEach(stage => {
+        const plannedMs = (stage.plannedDurationHours || DEFAULT_STAGE_HOURS) * HOUR_MS;
+        const constraint = dependencyConstraint(stage, planned, plannedMs, orderStart);
+        planned[stage.stage] = {
+            start: constraint.start,
+            end: Math.max(constraint.start + plannedMs, constraint.finish)
+        };
+    });
+    return planned;
+}
+
+/**
+ * Earliest start and finish a stage's dependencies allow, and the dependency that sets the later of them
+ * windows holds { start, end } for stages already placed
+ */
+function dependencyConstraint(stage, windows, durationMs, orderStart) {
+    let start = orderStart;
+    let finish = orderStart;
+    let driver = null;
+    let driverTime = -Infinity;
+
+    (stage.dependencies || []).forEach(dep => {
+        const upstream = windows[dep.stage];
+        if (!upstream) return;
+
+        let time;
+        if (dep.type === DEPENDENCY_TYPE.START_TO_START) {
+            time = upstream.start;
+            start = Math.max(start, time);
+        } else if (dep.type === DEPENDENCY_TYPE.FINISH_TO_FINISH) {
+            time = upstream.end - durationMs;
+            finish = Math.max(finish, upstream.end);
+        } else {
+            time = upstream.end;
+            start = Math.max(start, time);
+        }
+        if (time > driverTime) {
+            driverTime = time;
+            driver = dep.stage;
+        }
+    });
+
+    return { start, finish, driver };
+}
+
+// Walk back from the last stage to finish through the dependency that drove each stage
+function traceCriticalPath(stageNumber, projected) {
+    const path = [];
+    const visited = new Set();
+    let current = stageNumber;
+    while (current != null && !visited.has(current)) {
+        visited.add(current);
+        path.unshift(current);
+        current = projected[current]?.driver;
+    }
+    return path;
+}
+
+// Stages with their dependencies first; the mapping order is kept where the graph allows
+function orderByDependencies(stages) {
+    const byStage = new Map(stages.map(stage => [stage.stage, stage]));
+    const ordered = [];
+    const visited = new Set();
+    const visit = stage => {
+        if (visited.has(stage.stage)) return;
+        visited.add(stage.stage);
+        (stage.dependencies || []).forEach(dep => {
+            if (byStage.has(dep.stage)) visit(byStage.get(dep.stage));
+        });
+        ordered.push(stage);
+    };
+    stages.forEach(visit);
+    return ordered;
+}
+
+// Share of the stage done - by completed steps, or all/nothing when it has none
+function stageFraction(stage) {
+    if (stage.status === STAGE_STATUS.COMPLETED) return 1;
+    if (!stage.steps.length) return 0;
+    return stage.steps.filter(step => step.complete).length / stage.steps.length;
+}
+
+function isUnderway(stage) {
+    return stage.status === STAGE_STATUS.CURRENT
+        || stage.status === STAGE_STATUS.IN_PROGRESS
+        || stage.status === STAGE_STATUS.FAILED;
+}
+
+// Without an order start, assume the order has been on plan up to the first unfinished stage
+function estimateOrderStart(stages, now) {
+    const offsets = planStages(stages, 0);
+    const firstOpen = stages.find(stage => stage.status !== STAGE_STATUS.COMPLETED);
+    return firstOpen ? now - offsets[firstOpen.stage].start : now;
+}
+
+function toTime(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+function earliest(times) {
+    const known = times.filter(time => time != null);
+    return known.length ? Math.min(...known) : null;
+}
+
+function latest(times) {
+    const known = times.filter(time => time != null);
+    return known.length ? Math.max(...known) : null;
+}
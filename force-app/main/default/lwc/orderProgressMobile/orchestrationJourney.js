@@ -0,0 +1,433 @@
+/**
+ * Builds the Order Progress journey (stages, steps and current stage) for an Order
+ *
+ * The journey comes from, in order of preference:
+ *   orchestration - the Order's orchestration plan items, grouped into stages by the stage mapping
+ *   fulfillment   - the Order's COM_Fulfillment_StepType__c / COM_Fulfillment_State__c, matched to a
+ *                   stage of the mapping (used when no plan is available, e.g. offline)
+ *   demo          - the default mapping at Field Installation, when the Work Order has no Order
+ *
+ * Steps the technician has completed on the device (completions, keyed by stepKey) count as
+ * complete until the source reflects them.
+ */
+
+export const JOURNEY_SOURCE = {
+    ORCHESTRATION: 'orchestration',
+    FULFILLMENT: 'fulfillment',
+    DEMO: 'demo'
+};
+
+export const DEPENDENCY_TYPE = {
+    FINISH_TO_START: 'finish-to-start',
+    START_TO_START: 'start-to-start',
+    FINISH_TO_FINISH: 'finish-to-finish'
+};
+
+// Dependency badge wording per type
+const DEPENDENCY_BADGES = {
+    [DEPENDENCY_TYPE.FINISH_TO_START]: 'After',
+    [DEPENDENCY_TYPE.START_TO_START]: 'Starts with',
+    [DEPENDENCY_TYPE.FINISH_TO_FINISH]: 'Finishes after'
+};
+
+export const STAGE_STATUS = {
+    COMPLETED: 'completed',
+    CURRENT: 'current',
+    IN_PROGRESS: 'inProgress',
+    FAILED: 'failed',
+    READY: 'ready',
+    PENDING: 'pending'
+};
+
+// Orchestration item / fulfillment states, compared lower-cased
+const COMPLETE_STATES = ['completed', 'complete', 'skipped', 'discarded', 'fulfilled'];
+const FAILED_STATES = ['fatally failed', 'failed', 'error'];
+const STARTED_STATES = ['running', 'in progress', 'inprogress'];
+
+/**
+ * Default stage mapping
+ *   match  - keywords; an orchestration item whose name or type (or the Order's fulfillment step type)
+ *            contains one is placed in the stage. Stages are tried in order, first match wins.
+ *   steps  - step names shown when the journey is derived from the fulfillment step type
+ *   plannedDurationHours - planned length of the stage, used for progress weighting and the ETA
+ *                          (a text estimatedDuration such as '5-7 days' is read as its upper bound)
+ *   fieldStage - the stage the field technician's Work Order belongs to
+ *   dependsOn  - [{ stage, type }] with type finish-to-start (default), start-to-start or
+ *                finish-to-finish; a plain stage number means finish-to-start. Stages without
+ *                dependsOn follow the stage before them.
+ * The component's stageMapping property takes a JSON array in the same shape, replacing these stages.
+ */
+export const DEFAULT_STAGE_MAPPING = [
+    {
+        stage: 1,
+        name: 'Order Intake',
+        description: 'Order received, validated, and credit approved',
+        icon: 'utility:new',
+        match: ['intake', 'validat', 'credit', 'project manager', 'decompos'],
+        steps: ['Validate Order Details', 'Credit Check', 'Assign Project Manager'],
+        fieldTechInfo: 'Order was processed by the sales team.',
+        plannedDurationHours: 48
+    },
+    {
+        stage: 2,
+        name: 'Design & Planning',
+        description: 'Technical design and customer approval',
+        icon: 'utility:strategy',
+        match: ['design', 'planning', 'survey'],
+        steps: ['Schedule Site Survey', 'Complete Network Design', 'Customer Design Approval'],
+        fieldTechInfo: 'Design team completes the network architecture and site survey.',
+        plannedDurationHours: 120
+    },
+    {
+        stage: 3,
+        name: 'Procurement',
+        description: 'Hardware ordering and configuration',
+        icon: 'utility:package',
+        match: ['procure', 'equipment', 'staging', 'stage & configure', 'quality', 'shipment'],
+        steps: ['Order CPE Equipment', 'Stage & Configure Hardware', 'Quality Verification'],
+        fieldTechInfo: 'CPE hardware is staged and configured before field installation.',
+        plannedDurationHours: 168
+    },
+    {
+        stage: 4,
+        name: 'Construction',
+        description: 'Physical circuit build and verification',
+        icon: 'utility:builder',
+        match: ['construct', 'fiber', 'splice', 'path'],
+        steps: ['Fiber Path Construction', 'Splice Completion', 'Path Verification Test'],
+        fieldTechInfo: 'Fiber construction and circuit path verification.',
+        plannedDurationHours: 336
+    },
+    {
+        stage: 5,
+        name: 'Field Installation',
+        description: 'On-site CPE installation and activation',
+        icon: 'utility:travel_and_places',
+        match: ['field install', 'install', 'dispatch', 'cpe', 'circuit activation', 'signal'],
+        steps: ['Dispatch Field Technician', 'CPE Installation', 'Circuit Activation', 'Signal Verification'],
+        fieldStage: true,
+        fieldTechInfo: 'YOUR TASK: Install the CPE on site, activate the circuit and verify signal levels.',
+        plannedDurationHours: 6
+    },
+    {
+        stage: 6,
+        name: 'Remote Configuration',
+        description: 'Service configuration by the remote config team',
+        icon: 'utility:settings',
+        match: ['remote config', 'service config', 'configure service', 'provision service'],
+        steps: ['Push Service Configuration', 'Enable Customer Services'],
+        dependsOn: [{ stage: 3, type: 'finish-to-start' }, { stage: 5, type: 'start-to-start' }],
+        fieldTechInfo: 'The remote config team configures services while the CPE is installed.',
+        plannedDurationHours: 4
+    },
+    {
+        stage: 7,
+        name: 'Testing & Turnup',
+        description: 'End-to-end testing and customer acceptance',
+        icon: 'utility:check',
+        match: ['test', 'turnup', 'turn-up', 'speed', 'acceptance'],
+        steps: ['End-to-End Testing', 'Speed Verification', 'Customer Acceptance'],
+        dependsOn: [{ stage: 5, type: 'finish-to-start' }, { stage: 6, type: 'finish-to-start' }],
+        fieldTechInfo: 'After installation, NOC will run end-to-end tests before customer sign-off.',
+        plannedDurationHours: 48
+    },
+    {
+        stage: 8,
+        name: 'Billing Activation',
+        description: 'Billing activation and order closure',
+        icon: 'utility:money',
+        match: ['billing', 'invoice', 'welcome', 'close order', 'closure'],
+        steps: ['Activate Billing', 'Send Welcome Kit', 'Close Order'],
+        fieldTechInfo: 'Billing team activates recurring charges after customer acceptance.',
+        plannedDurationHours: 24
+    }
+];
+
+// Stage the demo journey is positioned at
+const DEMO_STEP_TYPE = 'Field Installation';
+
+/**
+ * Stage mapping from the stageMapping JSON, or the defaults
+ * Invalid JSON is ignored and reported through the optional onError callback
+ */
+export function resolveStageMapping(mappingJson, onError) {
+    if (mappingJson) {
+        try {
+            const mapping = JSON.parse(mappingJson);
+            if (Array.isArray(mapping) && mapping.length > 0) {
+                // Stages are matched and shown by name, so a stage without one rejects the whole mapping
+                const unnamed = mapping.findIndex(stage => typeof stage?.name !== 'string' || !stage.name.trim());
+                if (unnamed !== -1) {
+                    throw new Error(`stage ${unnamed + 1} has no name`);
+                }
+                return mapping
+                    .map((stage, index) => ({
+                        icon: 'utility:record',
+                        description: '',
+                        fieldTechInfo: '',
+                        match: [],
+                        steps: [],
+                        ...stage,
+                        stage: stage.stage != null ? Number(stage.stage) : index + 1,
+                        plannedDurationHours: stage.plannedDurationHours != null
+                            ? Number(stage.plannedDurationHours)
+                            : parseDurationHours(stage.estimatedDuration)
+                    }))
+                    .sort((a, b) => a.stage - b.stage);
+            }
+            throw new Error('expected a non-empty array of stages');
+        } catch (error) {
+            if (onError) {
+                onError(`Invalid stage mapping JSON - using defaults (${error.message})`);
+            }
+        }
+    }
+    return DEFAULT_STAGE_MAPPING;
+}
+
+/**
+ * Planned hours from a free-text duration - '4-6 hours' -> 6, '5-7 days' -> 168, '2 weeks' -> 336
+ * Returns null when no number can be read
+ */
+export function parseDurationHours(text) {
+    const match = /(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(hour|hr|day|week)?/i.exec(text || '');
+    if (!match) return null;
+    const value = parseFloat(match[2] || match[1]);
+    const unit = (match[3] || 'hour').toLowerCase();
+    if (unit === 'day') return value * 24;
+    if (unit === 'week') return value * 24 * 7;
+    return value;
+}
+
+// Key for a step's completion - the orchestration item Id, else stage and step name
+export function stepKey(stageNumber, step) {
+    return step.id || `${stageNumber}:${step.name}`;
+}
+
+/**
+ * Journey from orchestration items ({ id, name, itemType, state, sequence, startedAt, completedAt })
+ * Items that match no stage join the stage of the item before them. Stages with no items are left out.
+ */
+export function buildOrchestrationJourney(items, mapping, completions = {}) {
+    const stepsByStage = new Map(mapping.map(definition => [definition.stage, []]));
+    let previousStage = mapping[0].stage;
+
+    [...items]
+        .sort((a, b) => (a.sequence || 0) - (b.sequence || 0))
+        .forEach(item => {
+            const definition = findStage(mapping, item.name) || findStage(mapping, item.itemType);
+            const stageNumber = definition ? definition.stage : previousStage;
+            stepsByStage.get(stageNumber).push({
+                id: item.id,
+                name: item.name,
+                state: item.state || '',
+                complete: isState(item.state, COMPLETE_STATES),
+                failed: isState(item.state, FAILED_STATES),
+                started: isState(item.state, STARTED_STATES),
+                startedAt: item.startedAt || null,
+                completedAt: item.completedAt || null
+            });
+            previousStage = stageNumber;
+        });
+
+    const stages = mapping
+        .filter(definition => stepsByStage.get(definition.stage).length > 0)
+        .map(definition => ({
+            definition,
+            steps: applyCompletions(definition.stage, stepsByStage.get(definition.stage), completions)
+        }));
+
+    return finalizeJourney(stages, JOURNEY_SOURCE.ORCHESTRATION, mapping);
+}
+
+/**
+ * Journey from the Order's fulfillment step type and state
+ * Stages before the matched stage are complete; its steps and later ones are not yet known
+ * unless completed on the device
+ */
+export function buildFulfillmentJourney(stepType, fulfillmentState, mapping, completions = {}, source = JOURNEY_SOURCE.FULFILLMENT) {
+    const orderComplete = isState(fulfillmentState, COMPLETE_STATES);
+    const orderFailed = isState(fulfillmentState, FAILED_STATES);
+    const matched = findStage(mapping, stepType);
+    const currentStage = orderComplete ? null : (matched || mapping[0]).stage;
+
+    const stages = mapping.map(definition => {
+        const reached = orderComplete || definition.stage < currentStage;
+        const failed = orderFailed && definition.stage === currentStage;
+        const steps = applyCompletions(definition.stage, (definition.steps || []).map(name => ({
+            name,
+            state: '',
+            complete: reached,
+            failed: false,
+            started: false
+        })), completions);
+        return {
+            definition,
+            steps,
+            complete: reached || (steps.length > 0 && steps.every(step => step.complete)),
+            failed
+        };
+    });
+
+    return finalizeJourney(stages, source, mapping);
+}
+
+export function buildDemoJourney(mapping, completions = {}) {
+    return buildFulfillmentJourney(DEMO_STEP_TYPE, 'In Progress', mapping, completions, JOURNEY_SOURCE.DEMO);
+}
+
+function applyCompletions(stageNumber, steps, completions) {
+    return steps.map(step => {
+        const completion = completions[stepKey(stageNumber, step)];
+        if (step.complete || !completion) return step;
+        return {
+            ...step,
+            complete: true,
+            failed: false,
+            completedAt: completion.completedAt,
+            completedOnDevice: true
+        };
+    });
+}
+
+/**
+ * Set each stage's status, dependencies and the journey's current stage (the first stage not yet complete)
+ * A pending stage whose dependencies are all met is Ready - upstream finish-to-start stages complete,
+ * start-to-start stages started
+ */
+function finalizeJourney(stages, source, mapping) {
+    const current = stages.find(entry => entry.failed || !isStageComplete(entry));
+    const currentStage = current ? current.definition.stage : null;
+    const dependenciesByStage = resolveDependencies(stages.map(entry => entry.definition), mapping);
+
+    const result = stages.map(entry => {
+        const { definition, steps } = entry;
+        const dependencies = dependenciesByStage.get(definition.stage);
+        return {
+            stage: definition.stage,
+            name: definition.name,
+            description: definition.description,
+            icon: definition.icon,
+            fieldTechInfo: definition.fieldTechInfo,
+            plannedDurationHours: definition.plannedDurationHours,
+            isFieldStage: !!definition.fieldStage,
+            dependencies,
+            parallelWith: parallelStages(definition.stage, dependenciesByStage, stages),
+            steps,
+            status: stageStatus(entry, definition.stage === currentStage)
+        };
+    });
+
+    const statusByStage = new Map(result.map(stage => [stage.stage, stage.status]));
+    result.forEach(stage => {
+        if (stage.status === STAGE_STATUS.PENDING && stage.dependencies.every(dep => isDependencyMet(dep, statusByStage.get(dep.stage)))) {
+            stage.status = STAGE_STATUS.READY;
+        }
+    });
+
+    return {
+        source,
+        stages: result,
+        currentStage: currentStage != null ? currentStage : (result.length ? result[result.length - 1].stage : null),
+        isComplete: currentStage == null
+    };
+}
+
+/**
+ * Dependencies of each shown stage as [{ stage, type, label, badgeLabel }]
+ * A dependency on a stage that is not shown is replaced by that stage's own dependencies
+ */
+function resolveDependencies(definitions, mapping) {
+    const byStage = new Map(definitions.map(definition => [definition.stage, definition]));
+    const declared = new Map(mapping.map((definition, index) => [definition.stage, declaredDependencies(definition, mapping[index - 1])]));
+
+    const expand = (dep, visited) => {
+        if (byStage.has(dep.stage)) return [dep];
+        if (visited.has(dep.stage)) return [];
+        visited.add(dep.stage);
+        return (declared.get(dep.stage) || []).flatMap(upstream => expand({ ...upstream, type: dep.type }, visited));
+    };
+
+    const result = new Map();
+    definitions.forEach(definition => {
+        const seen = new Set();
+        const dependencies = [];
+        (declared.get(definition.stage) || [])
+            .flatMap(dep => expand(dep, new Set()))
+            .filter(dep => dep.stage !== definition.stage)
+            .forEach(dep => {
+                const key = `${dep.stage}-${dep.type}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                dependencies.push({
+                    stage: dep.stage,
+                    type: dep.type,
+                    label: byStage.get(dep.stage).name,
+                    badgeLabel: `${DEPENDENCY_BADGES[dep.type] || DEPENDENCY_BADGES[DEPENDENCY_TYPE.FINISH_TO_START]}: ${byStage.get(dep.stage).name}`
+                });
+            });
+        result.set(definition.stage, dependencies);
+    });
+    return result;
+}
+
+function declaredDependencies(definition, previous) {
+    if (definition.dependsOn) {
+        return definition.dependsOn.map(dep => (typeof dep === 'object'
+            ? { stage: Number(dep.stage), type: dep.type || DEPENDENCY_TYPE.FINISH_TO_START }
+            : { stage: Number(dep), type: DEPENDENCY_TYPE.FINISH_TO_START }));
+    }
+    return previous ? [{ stage: previous.stage, type: DEPENDENCY_TYPE.FINISH_TO_START }] : [];
+}
+
+// Stages linked to this one by a start-to-start dependency, in either direction
+function parallelStages(stageNumber, dependenciesByStage, stages) {
+    const linked = new Set();
+    dependenciesByStage.forEach((dependencies, stage) => {
+        dependencies
+            .filter(dep => dep.type === DEPENDENCY_TYPE.START_TO_START)
+            .forEach(dep => {
+                if (stage === stageNumber) linked.add(dep.stage);
+                if (dep.stage === stageNumber) linked.add(stage);
+            });
+    });
+    return stages
+        .filter(entry => linked.has(entry.definition.stage))
+        .map(entry => ({ label: entry.definition.name, type: DEPENDENCY_TYPE.START_TO_START }));
+}
+
+function stageStatus(entry, isCurrent) {
+    if (entry.failed || entry.steps.some(step => step.failed)) return STAGE_STATUS.FAILED;
+    if (isStageComplete(entry)) return STAGE_STATUS.COMPLETED;
+    if (isCurrent) return STAGE_STATUS.CURRENT;
+    if (entry.steps.some(step => step.complete || step.started)) return STAGE_STATUS.IN_PROGRESS;
+    return STAGE_STATUS.PENDING;
+}
+
+export function isDependencyMet(dep, upstreamStatus) {
+    if (dep.type === DEPENDENCY_TYPE.START_TO_START) {
+        return upstreamStatus !== STAGE_STATUS.PENDING && upstreamStatus !== STAGE_STATUS.READY;
+    }
+    if (dep.type === DEPENDENCY_TYPE.FINISH_TO_FINISH) {
+        return true;
+    }
+    return upstreamStatus === STAGE_STATUS.COMPLETED;
+}
+
+// Fulfillment stages carry their own complete flag; orchestration stages are complete when every item is
+function isStageComplete(entry) {
+    if (entry.complete != null) return entry.complete;
+    return entry.steps.length > 0 && entry.steps.every(step => step.complete);
+}
+
+function findStage(mapping, value) {
+    if (!value) return null;
+    const text = value.toLowerCase();
+    return mapping.find(definition => definition.name.toLowerCase() === text)
+        || mapping.find(definition => (definition.match || []).some(keyword => text.includes(keyword.toLowerCase())))
+        || null;
+}
+
+function isState(state, states) {
+    return !!state && states.includes(state.toLowerCase());
+}
@@ -3,139 +3,135 @@
  * For Field Service Mobile - Offline Capable
  *
  * Shows parent Order's orchestration journey from Work Order context.
- * Card-based UI with dependency badges and expandable stage details.
+ * Card-based UI with dependency badges and expandable stage details, or a dependency
+ * graph with parallel lanes and the critical path.
  *
- * Demo Context: Haven Enterprises SASE circuit installation - 7 stage journey
+ * Stages come from the Order's orchestration items (OrderProgressController), falling back to
+ * the Order's fulfillment step type offline, and to a demo journey when no Order is linked.
+ * The technician ticks off the steps of their own stage once it is unblocked.
+ * Logo, accent color, footer and technician guidance can be branded per account or order type.
  */
 import { LightningElement, api, wire, track } from 'lwc';
 import { gql, graphql } from 'lightning/uiGraphQLApi';
+import { updateRecord } from 'lightning/uiRecordApi';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import getOrderJourney from '@salesforce/apex/OrderProgressController.getOrderJourney';
+import {
+    JOURNEY_SOURCE,
+    STAGE_STATUS,
+    DEFAULT_STAGE_MAPPING,
+    resolveStageMapping,
+    buildOrchestrationJourney,
+    buildFulfillmentJourney,
+    buildDemoJourney,
+    stepKey
+} from './orchestrationJourney';
+import { scheduleJourney, formatDuration, formatScheduleDate } from './journeySchedule';
+import { layoutJourneyGraph, findBlocker, DEPENDENCY_CODES } from './journeyGraph';
+import {
+    buildStepUpdate,
+    loadCompletions,
+    saveCompletions,
+    COMPLETION_TARGET,
+    WORK_STEP_COMPLETED_STATUS
+} from './stepCompletion';
+import { resolveBrandingRules, selectBranding, techGuidanceFor } from './branding';
 
-// Orchestration stages matching the demo story
-const ORCHESTRATION_STAGES = [
-    {
-        stage: 1,
-        name: 'Order Intake',
-        description: 'Order received, validated, and credit approved',
-        icon: 'utility:new',
-        dependencies: [],
-        parallelWith: [],
-        steps: [
-            { name: 'Validate Order Details', complete: true },
-            { name: 'Credit Check', complete: true },
-            { name: 'Assign Project Manager', complete: true }
-        ],
-        fieldTechInfo: 'Order was processed by the sales team. Contract value: ~$67K.',
-        estimatedDuration: '1-2 days'
-    },
-    {
-        stage: 2,
-        name: 'Design & Planning',
-        description: 'Technical design and customer approval',
-        icon: 'utility:strategy',
-        dependencies: [{ stage: 1, type: 'finish-to-start', label: 'Order Intake' }],
-        parallelWith: [],
-        steps: [
-            { name: 'Schedule Site Survey', complete: true },
-            { name: 'Complete Network Design', complete: true },
-            { name: 'Customer Design Approval', complete: true }
-        ],
-        fieldTechInfo: 'Design team completed network architecture. Site survey completed.',
-        estimatedDuration: '3-5 days'
-    },
-    {
-        stage: 3,
-        name: 'Procurement',
-        description: 'Hardware ordering and configuration',
-        icon: 'utility:package',
-        dependencies: [{ stage: 2, type: 'finish-to-start', label: 'Design & Planning' }],
-        parallelWith: [],
-        steps: [
-            { name: 'Order CPE Equipment', complete: true },
-            { name: 'Stage & Configure Hardware', complete: true },
-            { name: 'Quality Verification', complete: true }
-        ],
-        fieldTechInfo: 'CPE hardware staged and configured. Ready for field installation.',
-        estimatedDuration: '5-7 days'
-    },
-    {
-        stage: 4,
-        name: 'Construction',
-        description: 'Physical circuit build and verification',
-        icon: 'utility:builder',
-        dependencies: [{ stage: 3, type: 'finish-to-start', label: 'Procurement' }],
-        parallelWith: [],
-        steps: [
-            { name: 'Fiber Path Construction', complete: true },
-            { name: 'Splice Completion', complete: true },
-            { name: 'Path Verification Test', complete: true }
-        ],
-        fieldTechInfo: 'Fiber construction complete. Circuit path verified and tested.',
-        estimatedDuration: '7-14 days'
-    },
-    {
-        stage: 5,
-        name: 'Field Installation',
-        description: 'On-site CPE installation and activation',
-        icon: 'utility:travel_and_places',
-        dependencies: [{ stage: 4, type: 'finish-to-start', label: 'Construction' }],
-        parallelWith: [{ label: 'Remote Config Team', type: 'same-start' }],
-        steps: [
-            { name: 'Dispatch Field Technician', complete: true },
-            { name: 'CPE Installation', complete: false },
-            { name: 'Circuit Activation', complete: false },
-            { name: 'Signal Verification', complete: false }
-        ],
-        fieldTechInfo: 'YOUR TASK: Install CPE at Haven DC, activate circuit, verify signal levels.',
-        estimatedDuration: '4-6 hours'
-    },
-    {
-        stage: 6,
-        name: 'Testing & Turnup',
-        description: 'End-to-end testing and customer acceptance',
-        icon: 'utility:check',
-        dependencies: [{ stage: 5, type: 'finish-to-start', label: 'Field Installation' }],
-        parallelWith: [],
-        steps: [
-            { name: 'End-to-End Testing', complete: false },
-            { name: 'Speed Verification', complete: false },
-            { name: 'Customer Acceptance', complete: false }
-        ],
-        fieldTechInfo: 'After installation, NOC will run end-to-end tests before customer sign-off.',
-        estimatedDuration: '1-2 days'
-    },
-    {
-        stage: 7,
-        name: 'Billing Activation',
-        description: 'Billing activation and order closure',
-        icon: 'utility:money',
-        dependencies: [{ stage: 6, type: 'finish-to-start', label: 'Testing & Turnup' }],
-        parallelWith: [],
-        steps: [
-            { name: 'Activate Billing', complete: false },
-            { name: 'Send Welcome Kit', complete: false },
-            { name: 'Close Order', complete: false }
-        ],
-        fieldTechInfo: 'Billing team activates recurring charges after customer acceptance.',
-        estimatedDuration: '1 day'
-    }
-];
-
-// Current stage for demo (Stage 5 - Field Installation)
-const CURRENT_STAGE = 5;
+// Key prefix of Work Order Ids - a Work Order page needs no lookup to load its Work Order
+const WORK_ORDER_KEY_PREFIX = '0WO';
+
+const VIEW_MODES = {
+    LIST: 'list',
+    GRAPH: 'graph'
+};
+
+// Badge label, css class and icon per stage status
+const STATUS_DISPLAY = {
+    [STAGE_STATUS.COMPLETED]: { label: 'Complete', cssClass: 'stage-completed', icon: 'utility:check' },
+    [STAGE_STATUS.CURRENT]: { label: 'In Progress', cssClass: 'stage-current', icon: 'utility:sync' },
+    [STAGE_STATUS.IN_PROGRESS]: { label: 'In Progress', cssClass: 'stage-pending', icon: 'utility:sync' },
+    [STAGE_STATUS.FAILED]: { label: 'Failed', cssClass: 'stage-failed', icon: 'utility:error' },
+    [STAGE_STATUS.READY]: { label: 'Ready', cssClass: 'stage-ready', icon: 'utility:play' },
+    [STAGE_STATUS.PENDING]: { label: 'Pending', cssClass: 'stage-pending', icon: 'utility:clock' }
+};
 
 export default class OrderProgressMobile extends LightningElement {
     @api recordId;
 
-    @track expandedStages = new Set([CURRENT_STAGE]); // Current stage expanded by default
-    @track isLoading = true;
+    // JSON array of stage definitions replacing the default mapping - see orchestrationJourney.js
+    @api
+    get stageMapping() {
+        return this._stageMapping;
+    }
+    set stageMapping(value) {
+        this._stageMapping = value;
+        this.mappingError = '';
+        this.mapping = resolveStageMapping(value, message => {
+            this.mappingError = message;
+        });
+    }
+    _stageMapping;
+    mapping = DEFAULT_STAGE_MAPPING;
+
+    // Default branding - see branding.js
+    @api logoUrl;
+    @api accentColor;
+    @api footerText;
+
+    // JSON array of branding rules per account or order type - see branding.js
+    @api
+    get brandingRules() {
+        return this._brandingRules;
+    }
+    set brandingRules(value) {
+        this._brandingRules = value;
+        this.brandingError = '';
+        this.rules = resolveBrandingRules(value, message => {
+            this.brandingError = message;
+        });
+    }
+    _brandingRules;
+    rules = [];
+
+    @track expandedStages = null; // null until the user expands a stage - the current stage is expanded by default
+    @track orchestrationData;
+    @track viewMode = VIEW_MODES.LIST;
+    @track mappingError = '';
+    @track brandingError = '';
+    @track completions = {}; // Steps completed on this device, keyed by stepKey
+    @track savingStepKey = null;
+    workOrderLoaded = false;
+    orchestrationLoaded = false;
+    wiredJourneyResult;
+    _workSteps = [];
+
+    connectedCallback() {
+        this.completions = loadCompletions(this.recordId);
+    }
+
+    // Work Order of the record and orchestration plan items for its Order - no items when there is no plan
+    @wire(getOrderJourney, { recordId: '$recordId' })
+    wiredOrderJourney(result) {
+        this.wiredJourneyResult = result;
+        const { data, error } = result;
+        if (data !== undefined || error) {
+            if (error) {
+                // Offline or no access - the fulfillment step type still places the order
+                console.error('Error loading order orchestration:', error);
+            }
+            this.orchestrationData = data || null;
+            this.orchestrationLoaded = true;
+        }
+    }
 
     // GraphQL query for Work Order with parent Order details
     @wire(graphql, {
         query: gql`
-            query getWorkOrderWithOrder($recordId: ID!) {
+            query getWorkOrderWithOrder($workOrderId: ID!) {
                 uiapi {
                     query {
-                        WorkOrder(where: { Id: { eq: $recordId } }) {
+                        WorkOrder(where: { Id: { eq: $workOrderId } }) {
                             edges {
                                 node {
                                     Id
@@ -148,7 +144,11 @@ export default class OrderProgressMobile extends LightningElement {
                                         COM_Fulfillment_State__c { value }
                                         COM_Fulfillment_Message__c { value }
                                         COM_Fulfillment_StepType__c { value }
+                                        EffectiveDate { value }
+                                        CreatedDate { value }
+                                        Type { value }
                                         Account {
+                                            Id
                                             Name { value }
                                         }
                                     }
@@ -162,7 +162,7 @@ export default class OrderProgressMobile extends LightningElement {
         variables: '$graphqlVariables'
     })
     handleWorkOrderResult({ data, errors }) {
-        this.isLoading = false;
+        this.workOrderLoaded = true;
         if (errors) {
             console.error('GraphQL errors:', errors);
         }
@@ -174,10 +174,56 @@ export default class OrderProgressMobile extends LightningElement {
         }
     }
 
+    // Work Steps of the Work Order - queried on their own so that orgs without Work Plans, or users
+    // who cannot read WorkStep, still get the Work Order and Order. An error means no Work Steps
+    @wire(graphql, {
+        query: gql`
+            query getWorkOrderSteps($workOrderId: ID!) {
+                uiapi {
+                    query {
+                        WorkStep(where: { WorkOrderId: { eq: $workOrderId } }, first: 200) {
+                            edges {
+                                node {
+                                    Id
+                                    Name { value }
+                                    Status { value }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `,
+        variables: '$graphqlVariables'
+    })
+    handleWorkStepsResult({ data, errors }) {
+        if (errors) {
+            console.error('Work Steps not available:', errors);
+            this._workSteps = [];
+            return;
+        }
+        if (data) {
+            this._workSteps = (data?.uiapi?.query?.WorkStep?.edges || []).map(edge => ({
+                Id: edge.node.Id,
+                Name: edge.node.Name?.value,
+                Status: edge.node.Status?.value
+            }));
+        }
+    }
+
     _workOrderData;
 
+    // The record itself on a Work Order page, else the Work Order resolved by getOrderJourney (Service Appointment)
+    get workOrderId() {
+        if (this.recordId?.startsWith(WORK_ORDER_KEY_PREFIX)) {
+            return this.recordId;
+        }
+        return this.orchestrationData?.workOrderId;
+    }
+
+    // Undefined until the Work Order is known, which holds back both GraphQL wires
     get graphqlVariables() {
-        return { recordId: this.recordId };
+        return this.workOrderId ? { workOrderId: this.workOrderId } : undefined;
     }
 
     get workOrderNumber() {
@@ -200,6 +246,28 @@ export default class OrderProgressMobile extends LightningElement {
         return this._workOrderData?.COM_Order__r?.Account?.Name?.value || '';
     }
 
+    get orderType() {
+        return this._workOrderData?.COM_Order__r?.Type?.value || '';
+    }
+
+    // Logo, accent color, footer and tech guidance for this Order's account and type
+    get branding() {
+        return selectBranding(
+            { logoUrl: this.logoUrl, accentColor: this.accentColor, footerText: this.footerText },
+            this.rules,
+            {
+                accountId: this._workOrderData?.COM_Order__r?.Account?.Id,
+                accountName: this.accountName,
+                orderType: this.orderType
+            }
+        );
+    }
+
+    get containerStyle() {
+        const accent = this.branding.accentColor;
+        return accent ? `--order-progress-accent: ${accent};` : '';
+    }
+
     get fulfillmentState() {
         return this._workOrderData?.COM_Order__r?.COM_Fulfillment_State__c?.value || 'Not Started';
     }
@@ -208,11 +276,71 @@ export default class OrderProgressMobile extends LightningElement {
         return this._workOrderData?.COM_Order__r?.COM_Fulfillment_Message__c?.value || '';
     }
 
+    get isLoading() {
+        return !this.orchestrationLoaded || (!!this.workOrderId && !this.workOrderLoaded);
+    }
+
+    // Device completions plus mapped steps whose Work Step is already Completed
+    get stepCompletions() {
+        const completions = { ...this.completions };
+        const completedSteps = new Set(this._workSteps
+            .filter(workStep => workStep.Status === WORK_STEP_COMPLETED_STATUS)
+            .map(workStep => (workStep.Name || '').trim().toLowerCase()));
+        this.mapping.forEach(definition => {
+            (definition.steps || []).forEach(name => {
+                const key = stepKey(definition.stage, { name });
+                if (!completions[key] && completedSteps.has(name.trim().toLowerCase())) {
+                    completions[key] = { completedAt: null, target: COMPLETION_TARGET.WORK_STEP, saved: true };
+                }
+            });
+        });
+        return completions;
+    }
+
+    get journey() {
+        const mapping = this.mapping;
+        const completions = this.stepCompletions;
+        const items = this.orchestrationData?.items;
+        if (items && items.length > 0) {
+            return buildOrchestrationJourney(items, mapping, completions);
+        }
+        if (this.hasParentOrder) {
+            return buildFulfillmentJourney(
+                this._workOrderData?.COM_Order__r?.COM_Fulfillment_StepType__c?.value,
+                this._workOrderData?.COM_Order__r?.COM_Fulfillment_State__c?.value,
+                mapping,
+                completions
+            );
+        }
+        return buildDemoJourney(mapping, completions);
+    }
+
+    // Planned window and projection per stage - the order starts when its orchestration plan was created
+    get schedule() {
+        const order = this._workOrderData?.COM_Order__r;
+        return scheduleJourney(this.journey, {
+            orderStart: this.orchestrationData?.planCreatedDate || order?.EffectiveDate?.value || order?.CreatedDate?.value,
+            knowsStepProgress: this.journey.source === JOURNEY_SOURCE.ORCHESTRATION
+        });
+    }
+
+    get isDemoData() {
+        return this.journey.source === JOURNEY_SOURCE.DEMO;
+    }
+
+    get journeySourceLabel() {
+        switch (this.journey.source) {
+            case JOURNEY_SOURCE.ORCHESTRATION:
+                return `From orchestration plan ${this.orchestrationData.planName || ''}`.trim();
+            case JOURNEY_SOURCE.FULFILLMENT:
+                return 'From order fulfillment status';
+            default:
+                return 'Demo journey - no order linked to this Work Order';
+        }
+    }
+
     get progressPercentage() {
-        const completedStages = CURRENT_STAGE - 1;
-        const totalStages = ORCHESTRATION_STAGES.length;
-        const currentProgress = 0.3; // Partial progress in current stage
-        return Math.round(((completedStages + currentProgress) / totalStages) * 100);
+        return this.schedule.progressPercentage;
     }
 
     get progressStyle() {
@@ -220,81 +348,329 @@ export default class OrderProgressMobile extends LightningElement {
     }
 
     get currentStageNumber() {
-        return CURRENT_STAGE;
+        return this.journey.currentStage;
     }
 
     get currentStageName() {
-        const current = ORCHESTRATION_STAGES.find(s => s.stage === CURRENT_STAGE);
+        const current = this.journey.stages.find(s => s.stage === this.journey.currentStage);
         return current ? current.name : '';
     }
 
-    get stages() {
-        return ORCHESTRATION_STAGES.map(stage => {
-            let status = 'pending';
-            let statusLabel = 'Pending';
-            let statusClass = 'stage-pending';
-            let statusIcon = 'utility:clock';
-
-            if (stage.stage < CURRENT_STAGE) {
-                status = 'completed';
-                statusLabel = 'Complete';
-                statusClass = 'stage-completed';
-                statusIcon = 'utility:check';
-            } else if (stage.stage === CURRENT_STAGE) {
-                status = 'current';
-                statusLabel = 'In Progress';
-                statusClass = 'stage-current';
-                statusIcon = 'utility:sync';
-            }
+    get currentStageLabel() {
+        return this.journey.isComplete ? 'Order complete' : `Currently: Stage ${this.currentStageNumber} - ${this.currentStageName}`;
+    }
 
-            const isExpanded = this.expandedStages.has(stage.stage);
+    get projectedCompletionLabel() {
+        const { projectedCompletion } = this.schedule;
+        if (this.journey.isComplete || !projectedCompletion) return '';
+        return `Projected completion: ${formatScheduleDate(projectedCompletion)}`;
+    }
+
+    get isOrderLate() {
+        return !this.journey.isComplete && this.schedule.isLate;
+    }
+
+    // The field technician's stage - the mapping's field stage, or the current stage when none is marked
+    get techStage() {
+        const { stages, currentStage } = this.journey;
+        return stages.find(stage => stage.isFieldStage) || stages.find(stage => stage.stage === currentStage);
+    }
+
+    get techStageLabel() {
+        const stage = this.techStage;
+        if (!stage) return '';
+        const timing = this.schedule.stages[stage.stage];
+        const withTime = stage.plannedDurationHours < 48;
+        if (stage.status === STAGE_STATUS.COMPLETED) {
+            return `Your stage (${stage.name}) finished ${formatScheduleDate(timing.projectedEnd, withTime)}`;
+        }
+        return `Your stage (${stage.name}) due ${formatScheduleDate(timing.projectedEnd, withTime)}`;
+    }
+
+    get isTechStageLate() {
+        const stage = this.techStage;
+        return !!stage && this.schedule.stages[stage.stage].isLate;
+    }
+
+    // Upstream stage holding up the technician's stage
+    get techStageBlocker() {
+        const stage = this.techStage;
+        return stage ? findBlocker(this.journey.stages, stage.stage) : null;
+    }
+
+    get blockerLabel() {
+        const blocker = this.techStageBlocker;
+        if (!blocker) return '';
+        const step = blocker.stepName ? ` - ${blocker.stepName}` : '';
+        return `Waiting on Stage ${blocker.stage} ${blocker.name}${step} (${DEPENDENCY_CODES[blocker.type]})`;
+    }
+
+    // The technician can tick off their own stage's steps once no dependency holds it
+    get canCompleteTechSteps() {
+        const stage = this.techStage;
+        return !!stage && stage.status !== STAGE_STATUS.COMPLETED && !this.techStageBlocker;
+    }
+
+    get criticalStages() {
+        return new Set(this.schedule.criticalPath);
+    }
+
+    // Dependency edges on the critical path as 'from-to'
+    get criticalEdges() {
+        const path = this.schedule.criticalPath;
+        return new Set(path.slice(1).map((stage, index) => `${path[index]}-${stage}`));
+    }
+
+    get isGraphView() {
+        return this.viewMode === VIEW_MODES.GRAPH;
+    }
+
+    get isListView() {
+        return !this.isGraphView;
+    }
+
+    get listButtonClass() {
+        return `control-button${this.isGraphView ? '' : ' control-button-active'}`;
+    }
+
+    get graphButtonClass() {
+        return `control-button${this.isGraphView ? ' control-button-active' : ''}`;
+    }
+
+    get graphStyle() {
+        const { laneCount } = layoutJourneyGraph(this.journey.stages);
+        return `grid-template-columns: repeat(${laneCount}, minmax(0, 1fr))`;
+    }
+
+    get graphNodes() {
+        const { stages, currentStage } = this.journey;
+        const { positions } = layoutJourneyGraph(stages);
+        const schedule = this.schedule;
+        const critical = this.criticalStages;
+        const criticalEdges = this.criticalEdges;
+        const blocker = this.techStageBlocker;
+        const techStage = this.techStage;
+
+        return stages.map(stage => {
+            const display = STATUS_DISPLAY[stage.status];
+            const position = positions.get(stage.stage);
+            const timing = schedule.stages[stage.stage];
+            const isCritical = critical.has(stage.stage);
+            const isBlocker = !!blocker && blocker.stage === stage.stage;
+            const isTechStage = !!techStage && techStage.stage === stage.stage;
+
+            let nodeClass = `graph-node ${display.cssClass}`;
+            if (isCritical) nodeClass += ' graph-node-critical';
+            if (isBlocker) nodeClass += ' graph-node-blocker';
+            if (stage.stage === currentStage && stage.status !== STAGE_STATUS.COMPLETED) nodeClass += ' current-stage';
+
+            return {
+                stage: stage.stage,
+                name: stage.name,
+                nodeKey: `node-${stage.stage}`,
+                nodeClass,
+                nodeStyle: `grid-row: ${position.level + 1}; grid-column: ${position.lane + 1}`,
+                statusIcon: display.icon,
+                statusClass: display.cssClass,
+                projectedEndLabel: formatScheduleDate(timing.projectedEnd, stage.plannedDurationHours < 48),
+                isLate: timing.isLate,
+                isCritical,
+                isBlocker,
+                isTechStage,
+                edges: stage.dependencies.map(dep => ({
+                    edgeKey: `edge-${dep.stage}-${stage.stage}-${dep.type}`,
+                    label: `${DEPENDENCY_CODES[dep.type]} ${dep.stage}`,
+                    title: dep.badgeLabel,
+                    edgeClass: criticalEdges.has(`${dep.stage}-${stage.stage}`) ? 'graph-edge graph-edge-critical' : 'graph-edge'
+                }))
+            };
+        });
+    }
+
+    get expandedStageSet() {
+        return this.expandedStages || new Set([this.journey.currentStage]);
+    }
+
+    get stages() {
+        const { stages, currentStage } = this.journey;
+        const expanded = this.expandedStageSet;
+        const schedule = this.schedule;
+        const critical = this.criticalStages;
+        const techStage = this.techStage;
+        const canCompleteTechSteps = this.canCompleteTechSteps;
+        const branding = this.branding;
+        return stages.map(stage => {
+            const display = STATUS_DISPLAY[stage.status];
+            const timing = schedule.stages[stage.stage];
+            const withTime = stage.plannedDurationHours < 48;
+            const isCompleted = stage.status === STAGE_STATUS.COMPLETED;
+            const isCurrent = stage.stage === currentStage && stage.status !== STAGE_STATUS.COMPLETED;
+            const isExpanded = expanded.has(stage.stage);
 
             return {
                 ...stage,
-                status,
-                statusLabel,
-                statusClass,
-                statusIcon,
-                statusBadgeClass: `${statusClass} status-badge`,
+                statusLabel: display.label,
+                statusClass: display.cssClass,
+                statusIcon: display.icon,
+                statusBadgeClass: `${display.cssClass} status-badge`,
                 isExpanded,
-                isCurrent: stage.stage === CURRENT_STAGE,
-                isCompleted: stage.stage < CURRENT_STAGE,
-                isPending: stage.stage > CURRENT_STAGE,
+                isCurrent,
+                isCompleted,
+                isPending: stage.status === STAGE_STATUS.PENDING,
                 stageKey: `stage-${stage.stage}`,
-                cardClass: `stage-card ${statusClass}${stage.stage === CURRENT_STAGE ? ' current-stage' : ''}`,
+                cardClass: `stage-card ${display.cssClass}${isCurrent ? ' current-stage' : ''}`,
+                fieldTechInfo: techGuidanceFor(branding, stage),
+                isCritical: critical.has(stage.stage),
+                canCompleteSteps: canCompleteTechSteps && !!techStage && techStage.stage === stage.stage,
                 chevronIcon: isExpanded ? 'utility:chevrondown' : 'utility:chevronright',
                 hasDependencies: stage.dependencies && stage.dependencies.length > 0,
                 hasParallel: stage.parallelWith && stage.parallelWith.length > 0,
-                formattedSteps: stage.steps.map((step, idx) => ({
-                    ...step,
-                    stepKey: `step-${stage.stage}-${idx}`,
-                    stepIcon: step.complete ? 'utility:check' : 'utility:clock',
-                    stepClass: step.complete ? 'step-complete' : 'step-pending'
-                }))
+                plannedDurationLabel: formatDuration(stage.plannedDurationHours),
+                plannedWindowLabel: `${formatScheduleDate(timing.plannedStart, withTime)} – ${formatScheduleDate(timing.plannedEnd, withTime)}`,
+                projectionLabel: isCompleted ? 'Finished' : 'Projected Finish',
+                projectedEndLabel: formatScheduleDate(timing.projectedEnd, withTime),
+                isLate: timing.isLate,
+                lateLabel: isCompleted ? 'Finished Late' : 'Running Late',
+                formattedSteps: stage.steps.map((step, idx) => {
+                    let stepIcon = 'utility:clock';
+                    let stepClass = 'step-pending';
+                    if (step.complete) {
+                        stepIcon = 'utility:check';
+                        stepClass = 'step-complete';
+                    } else if (step.failed) {
+                        stepIcon = 'utility:error';
+                        stepClass = 'step-failed';
+                    } else if (step.started) {
+                        stepIcon = 'utility:sync';
+                    }
+                    const completionKey = stepKey(stage.stage, step);
+                    const completion = step.completedOnDevice ? this.completions[completionKey] : null;
+                    let syncLabel = '';
+                    if (completion) {
+                        if (completion.target === COMPLETION_TARGET.DEVICE) {
+                            syncLabel = 'Saved on this device';
+                        } else {
+                            syncLabel = completion.saved ? 'Saved' : 'Saving...';
+                        }
+                    }
+                    return {
+                        ...step,
+                        stepKey: step.id || `step-${stage.stage}-${idx}`,
+                        completionKey,
+                        stepIcon,
+                        stepClass,
+                        syncLabel,
+                        isCheckboxDisabled: step.complete || this.savingStepKey === completionKey
+                    };
+                })
             };
         });
     }
 
-    get showHavenBranding() {
-        return this.accountName && this.accountName.toLowerCase().includes('haven');
-    }
-
     handleStageClick(event) {
         const stageNum = parseInt(event.currentTarget.dataset.stage, 10);
-        if (this.expandedStages.has(stageNum)) {
-            this.expandedStages.delete(stageNum);
+        const expanded = new Set(this.expandedStageSet);
+        if (expanded.has(stageNum)) {
+            expanded.delete(stageNum);
         } else {
-            this.expandedStages.add(stageNum);
+            expanded.add(stageNum);
         }
-        // Force reactivity
-        this.expandedStages = new Set(this.expandedStages);
+        this.expandedStages = expanded;
     }
 
     handleExpandAll() {
-        this.expandedStages = new Set(ORCHESTRATION_STAGES.map(s => s.stage));
+        this.expandedStages = new Set(this.journey.stages.map(s => s.stage));
     }
 
     handleCollapseAll() {
-        this.expandedStages = new Set([CURRENT_STAGE]);
+        this.expandedStages = null;
+    }
+
+    /**
+     * Tick off a step of the technician's stage
+     * Shown as complete straight away; the orchestration item or Work Step update queues offline
+     */
+    async handleStepComplete(event) {
+        const key = event.target.dataset.key;
+        const stage = this.techStage;
+        const step = stage ? stage.steps.find(candidate => stepKey(stage.stage, candidate) === key) : null;
+        if (!step || step.complete || !event.target.checked) {
+            return;
+        }
+
+        const update = buildStepUpdate(step, this._workSteps);
+        this.setCompletion(key, {
+            completedAt: new Date().toISOString(),
+            target: update.target,
+            saved: !update.recordInput
+        });
+
+        if (update.recordInput) {
+            this.savingStepKey = key;
+            try {
+                await updateRecord(update.recordInput);
+                this.setCompletion(key, { ...this.completions[key], saved: true });
+                if (update.target === COMPLETION_TARGET.ORCHESTRATION_ITEM && this.wiredJourneyResult) {
+                    refreshApex(this.wiredJourneyResult);
+                }
+            } catch (error) {
+                console.error('Error completing step:', error);
+                this.removeCompletion(key);
+                this.dispatchEvent(new ShowToastEvent({
+                    title: 'Error',
+                    message: `Could not complete ${step.name}: ${error.body?.message || error.message}`,
+                    variant: 'error'
+                }));
+                return;
+            } finally {
+                this.savingStepKey = null;
+            }
+        }
+
+        this.announceStageProgress(stage.stage);
+    }
+
+    // Toast when the step finished the technician's stage, naming the stages it unlocked
+    announceStageProgress(stageNumber) {
+        const stage = this.journey.stages.find(candidate => candidate.stage === stageNumber);
+        if (!stage || stage.status !== STAGE_STATUS.COMPLETED) {
+            return;
+        }
+        const unlocked = this.journey.stages
+            .filter(candidate => candidate.dependencies.some(dep => dep.stage === stageNumber))
+            .filter(candidate => candidate.status === STAGE_STATUS.READY || candidate.status === STAGE_STATUS.CURRENT)
+            .map(candidate => candidate.name);
+        this.dispatchEvent(new ShowToastEvent({
+            title: `${stage.name} complete`,
+            message: unlocked.length ? `Ready to start: ${unlocked.join(', ')}` : 'All steps of your stage are done',
+            variant: 'success'
+        }));
+    }
+
+    setCompletion(key, completion) {
+        this.completions = { ...this.completions, [key]: completion };
+        saveCompletions(this.recordId, this.completions);
+    }
+
+    removeCompletion(key) {
+        const completions = { ...this.completions };
+        delete completions[key];
+        this.completions = completions;
+        saveCompletions(this.recordId, this.completions);
+    }
+
+    handleShowList() {
+        this.viewMode = VIEW_MODES.LIST;
+    }
+
+    handleShowGraph() {
+        this.viewMode = VIEW_MODES.GRAPH;
+    }
+
+    // Tapping a graph node opens that stage in the list view
+    handleGraphNodeClick(event) {
+        const stageNum = parseInt(event.currentTarget.dataset.stage, 10);
+        this.expandedStages = new Set([...this.expandedStageSet, stageNum]);
+        this.viewMode = VIEW_MODES.LIST;
     }
 }
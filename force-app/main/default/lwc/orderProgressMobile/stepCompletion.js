@@ -0,0 +1,65 @@
+/**
+ * Step completion by the field technician
+ *
+ * A completed step is written back through uiRecordApi so it queues offline:
+ *   orchestration item - its state is set to Completed
+ *   Work Step          - a Work Step on the Work Order with the same name is set to Completed
+ * Steps with neither (e.g. the demo journey) are kept on the device only.
+ *
+ * Every completion is also kept in localStorage per record, so the journey shows it
+ * straight away and after a reload, until the orchestration data catches up.
+ */
+
+// Orchestration item state field and value set when a step is completed
+export const ITEM_STATE_FIELD = 'vlocity_cmt__State__c';
+export const ITEM_COMPLETED_STATE = 'Completed';
+
+export const WORK_STEP_COMPLETED_STATUS = 'Completed';
+
+export const COMPLETION_TARGET = {
+    ORCHESTRATION_ITEM: 'orchestrationItem',
+    WORK_STEP: 'workStep',
+    DEVICE: 'device'
+};
+
+const STORAGE_KEY_PREFIX = 'orderProgress:';
+
+/**
+ * Record update for a completed step, or null when it has no record to write to
+ * workSteps: [{ Id, Name }] on the Work Order
+ */
+export function buildStepUpdate(step, workSteps) {
+    if (step.id) {
+        return {
+            target: COMPLETION_TARGET.ORCHESTRATION_ITEM,
+            recordInput: { fields: { Id: step.id, [ITEM_STATE_FIELD]: ITEM_COMPLETED_STATE } }
+        };
+    }
+    const name = (step.name || '').trim().toLowerCase();
+    const workStep = (workSteps || []).find(candidate => (candidate.Name || '').trim().toLowerCase() === name);
+    if (workStep) {
+        return {
+            target: COMPLETION_TARGET.WORK_STEP,
+            recordInput: { fields: { Id: workStep.Id, Status: WORK_STEP_COMPLETED_STATUS } }
+        };
+    }
+    return { target: COMPLETION_TARGET.DEVICE, recordInput: null };
+}
+
+// Completions keyed by stepKey: { completedAt, target, saved }
+export function loadCompletions(recordId) {
+    try {
+        const json = localStorage.getItem(STORAGE_KEY_PREFIX + recordId);
+        return json ? JSON.parse(json) || {} : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+export function saveCompletions(recordId, completions) {
+    try {
+        localStorage.setItem(STORAGE_KEY_PREFIX + recordId, JSON.stringify(completions));
+    } catch (error) {
+        // Storage full or unavailable - the record updates still apply
+    }
+}
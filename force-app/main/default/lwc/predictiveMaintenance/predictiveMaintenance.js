@@ -10,6 +10,7 @@ import { refreshApex } from '@salesforce/apex';
 import getPredictiveData from '@salesforce/apex/PredictiveMaintenanceController.getPredictiveData';
 import getLocationWorkOrders from '@salesforce/apex/PredictiveMaintenanceController.getLocationWorkOrders';
 import createPreventiveWorkPlan from '@salesforce/apex/PredictiveMaintenanceController.createPreventiveWorkPlan';
+import { evaluateThreshold, formatThresholds } from 'c/assetThresholds';
 
 export default class PredictiveMaintenance extends NavigationMixin(LightningElement) {
     @api recordId;
@@ -114,18 +115,23 @@ export default class PredictiveMaintenance extends NavigationMixin(LightningElem
         return 'days-until-display normal';
     }
 
+    // Status from the shared threshold rules, so readings match the Building Asset Map
     get telemetryReadings() {
-        return (this.data?.telemetryData || []).map(reading => ({
-            ...reading,
-            displayValue: `${reading.value} ${reading.unit}`,
-            thresholdDisplay: `Threshold: ${reading.minThreshold} - ${reading.maxThreshold} ${reading.unit}`,
-            statusClass: this.getReadingStatusClass(reading.status),
-            statusIcon: this.getReadingStatusIcon(reading.status),
-            statusLabel: this.getReadingStatusLabel(reading.status),
-            barStyle: this.getReadingBarStyle(reading),
-            barClass: this.getReadingBarClass(reading.status),
-            itemClass: this.getReadingItemClass(reading.status)
-        }));
+        return (this.data?.telemetryData || []).map(reading => {
+            const evaluation = evaluateThreshold(reading);
+            return {
+                ...reading,
+                status: evaluation.status,
+                displayValue: `${reading.value} ${reading.unit}`,
+                thresholdDisplay: `Threshold: ${formatThresholds(reading, evaluation.direction)}`,
+                statusClass: this.getReadingStatusClass(evaluation.status),
+                statusIcon: evaluation.icon,
+                statusLabel: evaluation.label,
+                barStyle: `width: ${evaluation.percentage}%;`,
+                barClass: this.getReadingBarClass(evaluation.status),
+                itemClass: this.getReadingItemClass(evaluation.status)
+            };
+        });
     }
 
     get workOrderOptions() {
@@ -163,30 +169,12 @@ export default class PredictiveMaintenance extends NavigationMixin(LightningElem
         return 'reading-status normal';
     }
 
-    getReadingStatusIcon(status) {
-        if (status === 'critical') return 'utility:error';
-        if (status === 'warning') return 'utility:warning';
-        return 'utility:success';
-    }
-
-    getReadingBarStyle(reading) {
-        const range = reading.maxThreshold - reading.minThreshold;
-        const percentage = ((reading.value - reading.minThreshold) / range) * 100;
-        return `width: ${Math.max(0, Math.min(100, percentage))}%;`;
-    }
-
     getReadingBarClass(status) {
         if (status === 'critical') return 'reading-bar critical';
         if (status === 'warning') return 'reading-bar warning';
         return 'reading-bar normal';
     }
 
-    getReadingStatusLabel(status) {
-        if (status === 'critical') return 'OUT OF THRESHOLD';
-        if (status === 'warning') return 'NEAR THRESHOLD';
-        return 'WITHIN THRESHOLD';
-    }
-
     getReadingItemClass(status) {
         if (status === 'critical') return 'telemetry-item critical';
         if (status === 'warning') return 'telemetry-item warning';
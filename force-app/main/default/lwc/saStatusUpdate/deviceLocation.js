@@ -0,0 +1,42 @@
+/**
+ * Current device location - the mobile location capability in the Field Service app,
+ * else the browser's geolocation
+ * Resolves { latitude, longitude, accuracy, capturedAt } or null when no location is available
+ */
+import { getLocationService } from 'lightning/mobileCapabilities';
+
+const LOCATION_TIMEOUT_MS = 15000;
+
+export async function getDeviceLocation() {
+    try {
+        const locationService = getLocationService();
+        if (locationService && locationService.isAvailable()) {
+            const result = await locationService.getCurrentPosition({ enableHighAccuracy: true });
+            return toLocation(result);
+        }
+        if (typeof navigator !== 'undefined' && navigator.geolocation) {
+            const result = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, {
+                    enableHighAccuracy: true,
+                    timeout: LOCATION_TIMEOUT_MS
+                });
+            });
+            return toLocation(result);
+        }
+    } catch (error) {
+        console.error('Could not get device location:', error);
+    }
+    return null;
+}
+
+function toLocation(result) {
+    if (!result || !result.coords) {
+        return null;
+    }
+    return {
+        latitude: result.coords.latitude,
+        longitude: result.coords.longitude,
+        accuracy: result.coords.accuracy,
+        capturedAt: new Date(result.timestamp || Date.now()).toISOString()
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * Offline queue for status changes and block requests
+ *
+ * Without connectivity a status change or block is kept as a draft in localStorage per appointment
+ * and replayed in order once the device is back online. Before each draft is applied the appointment's
+ * server status is compared with the status the technician saw when they acted: if dispatch has moved it
+ * on meanwhile the draft is held as a conflict for the technician to resolve.
+ *
+ * A block or reopen draft also carries the server-side work (Gantt color, Chatter post, RSO) - when the
+ * status was already saved but that call failed, statusApplied skips the status update on replay, and
+ * actionApplied skips the server-side work when only the status history is left.
+ */
+
+export const QUEUE_ACTION = {
+    STATUS: 'status',
+    BLOCK: 'block',
+    REOPEN: 'reopen'
+};
+
+export const QUEUE_STATE = {
+    PENDING: 'pending',
+    SYNCING: 'syncing',
+    FAILED: 'failed',
+    CONFLICT: 'conflict'
+};
+
+const STORAGE_KEY_PREFIX = 'saStatusQueue:';
+
+/**
+ * New draft
+ * details: { status, fields, baseStatus, blockReason, blockNotes, resolution, resolutionNotes, rescheduleChain, statusApplied }
+ */
+export function createEntry(action, details) {
+    return {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        action,
+        state: QUEUE_STATE.PENDING,
+        createdAt: new Date().toISOString(),
+        error: '',
+        conflict: null,
+        statusApplied: false,
+        ...details
+    };
+}
+
+export function loadQueue(recordId) {
+    try {
+        const json = localStorage.getItem(STORAGE_KEY_PREFIX + recordId);
+        const queue = json ? JSON.parse(json) : [];
+        // A sync interrupted by closing the app is retried
+        return Array.isArray(queue)
+            ? queue.map(entry => (entry.state === QUEUE_STATE.SYNCING ? { ...entry, state: QUEUE_STATE.PENDING } : entry))
+            : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+export function saveQueue(recordId, queue) {
+    try {
+        if (queue.length) {
+            localStorage.setItem(STORAGE_KEY_PREFIX + recordId, JSON.stringify(queue));
+        } else {
+            localStorage.removeItem(STORAGE_KEY_PREFIX + recordId);
+        }
+    } catch (error) {
+        // Storage full or unavailable - the queue still lives for this session
+    }
+}
+
+export function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// Errors from a request that never reached the server, as opposed to the server rejecting it
+export function isNetworkError(error) {
+    if (isOffline()) {
+        return true;
+    }
+    if (!error) {
+        return false;
+    }
+    if (error.status === 0) {
+        return true;
+    }
+    const message = error.body?.message || error.message || '';
+    return /network|offline|failed to fetch|disconnected|timed? ?out/i.test(message);
+}
+
+/**
+ * Conflict between a draft and the appointment on the server
+ * serverState: { status, lastModifiedDate, lastModifiedByName }
+ * Returns null when the server still has the status the technician saw (or already has the draft's status)
+ */
+export function detectConflict(entry, serverState) {
+    if (!serverState || serverState.status === entry.baseStatus || serverState.status === entry.status) {
+        return null;
+    }
+    return {
+        serverStatus: serverState.status,
+        modifiedBy: serverState.lastModifiedByName || '',
+        modifiedAt: serverState.lastModifiedDate || null
+    };
+}
+
+// Short description of a draft for the sync indicator
+export function describeEntry(entry) {
+    if (entry.action === QUEUE_ACTION.BLOCK) {
+        return `Blocked: ${entry.blockReason}`;
+    }
+    if (entry.action === QUEUE_ACTION.REOPEN) {
+        return `Reopened → ${entry.status}: ${entry.resolution}`;
+    }
+    return `Status → ${entry.status}`;
+}
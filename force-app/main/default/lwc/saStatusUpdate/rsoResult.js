@@ -0,0 +1,143 @@
+/**
+ * Reading the RSOResult returned by triggerRSOForBlockedAppointment, reopenBlockedAppointment and retryRSORequests
+ *
+ * Outcomes:
+ *   submitted   - an RSO request was created for every affected resource
+ *   partial     - some requests failed; they can be retried
+ *   failed      - no request was created (e.g. no scheduling policy, or an error); can be retried
+ *   unavailable - the org has no RSO object, so no optimization ran (not retryable)
+ *   nothing     - no scheduled resources in the appointment chain
+ */
+
+export const RSO_OUTCOME = {
+    SUBMITTED: 'submitted',
+    PARTIAL: 'partial',
+    FAILED: 'failed',
+    UNAVAILABLE: 'unavailable',
+    NOTHING: 'nothing'
+};
+
+export const SUBMISSION_STATUS = {
+    SUBMITTED: 'submitted',
+    FAILED: 'failed',
+    NOT_SUBMITTED: 'notSubmitted'
+};
+
+// Title, toast variant and icon per outcome
+const OUTCOME_DISPLAY = {
+    [RSO_OUTCOME.SUBMITTED]: { title: 'Optimization requested', variant: 'success', icon: 'utility:success' },
+    [RSO_OUTCOME.PARTIAL]: { title: 'Optimization partly requested', variant: 'warning', icon: 'utility:warning' },
+    [RSO_OUTCOME.FAILED]: { title: 'Optimization request failed', variant: 'error', icon: 'utility:error' },
+    [RSO_OUTCOME.UNAVAILABLE]: { title: 'Optimization not available', variant: 'info', icon: 'utility:info' },
+    [RSO_OUTCOME.NOTHING]: { title: 'Nothing to optimize', variant: 'info', icon: 'utility:info' }
+};
+
+const SUBMISSION_DISPLAY = {
+    [SUBMISSION_STATUS.SUBMITTED]: { label: 'Submitted', icon: 'utility:success' },
+    [SUBMISSION_STATUS.FAILED]: { label: 'Failed', icon: 'utility:error' },
+    [SUBMISSION_STATUS.NOT_SUBMITTED]: { label: 'Not submitted', icon: 'utility:dash' }
+};
+
+export function rsoOutcome(result) {
+    if (!result) {
+        return RSO_OUTCOME.FAILED;
+    }
+    if (result.optimizationAvailable === false) {
+        return RSO_OUTCOME.UNAVAILABLE;
+    }
+    const submissions = result.submissions || [];
+    if (result.success) {
+        return submissions.length ? RSO_OUTCOME.SUBMITTED : RSO_OUTCOME.NOTHING;
+    }
+    return result.rsoCount > 0 ? RSO_OUTCOME.PARTIAL : RSO_OUTCOME.FAILED;
+}
+
+/**
+ * Display summary of an RSO result
+ * Returns { outcome, title, message, variant, icon, canRetry, failedResourceIds, submissions, appointments }
+ */
+export function summarizeRsoResult(result) {
+    const outcome = rsoOutcome(result);
+    const display = OUTCOME_DISPLAY[outcome];
+    const submissions = (result?.submissions || []).map(submission => {
+        const status = SUBMISSION_DISPLAY[submission.status] || SUBMISSION_DISPLAY[SUBMISSION_STATUS.NOT_SUBMITTED];
+        return {
+            key: `${submission.resourceId}-${submission.scheduleDate}`,
+            resourceId: submission.resourceId,
+            resourceName: submission.resourceName,
+            dateLabel: formatDate(submission.scheduleDate),
+            statusLabel: status.label,
+            statusIcon: status.icon,
+            error: submission.error || '',
+            isFailed: submission.status === SUBMISSION_STATUS.FAILED
+        };
+    });
+    const failedResourceIds = submissions.filter(submission => submission.isFailed).map(submission => submission.resourceId);
+
+    return {
+        outcome,
+        title: display.title,
+        variant: display.variant,
+        icon: display.icon,
+        message: outcomeMessage(outcome, result, submissions),
+        // A failure before any request was built (e.g. an exception) retries every resource
+        canRetry: outcome === RSO_OUTCOME.PARTIAL || outcome === RSO_OUTCOME.FAILED,
+        failedResourceIds,
+        submissions,
+        appointments: (result?.affectedAppointments || []).map(appointment => ({
+            id: appointment.Id,
+            label: `${appointment.AppointmentNumber} (${appointment.DependencyType})`,
+            resourceName: appointment.ResourceName || 'Unassigned',
+            dateLabel: appointment.ScheduledDate
+        }))
+    };
+}
+
+/**
+ * Merge a retry result into the original - retried resources take their new status
+ */
+export function mergeRetryResult(original, retry) {
+    if (!original?.submissions?.length) {
+        return retry;
+    }
+    const retried = new Map((retry.submissions || []).map(submission => [submission.resourceId, submission]));
+    const submissions = original.submissions.map(submission => retried.get(submission.resourceId) || submission);
+    const submittedCount = submissions.filter(submission => submission.status === SUBMISSION_STATUS.SUBMITTED).length;
+    const failedCount = submissions.filter(submission => submission.status === SUBMISSION_STATUS.FAILED).length;
+
+    return {
+        ...original,
+        success: retry.optimizationAvailable !== false && failedCount === 0,
+        optimizationAvailable: retry.optimizationAvailable,
+        message: retry.message,
+        rsoCount: submittedCount,
+        failedCount,
+        submissions,
+        affectedAppointments: original.affectedAppointments?.length ? original.affectedAppointments : retry.affectedAppointments
+    };
+}
+
+function outcomeMessage(outcome, result, submissions) {
+    const total = submissions.length;
+    switch (outcome) {
+        case RSO_OUTCOME.SUBMITTED:
+            return `RSO requested for ${total} resource${total === 1 ? '' : 's'}.`;
+        case RSO_OUTCOME.PARTIAL:
+            return `RSO requested for ${result.rsoCount} of ${total} resources. Retry the failed ones.`;
+        case RSO_OUTCOME.UNAVAILABLE:
+            return 'This org has no Resource Schedule Optimization - no optimization ran. Ask dispatch to reschedule the affected resources.';
+        case RSO_OUTCOME.NOTHING:
+            return 'No scheduled resources in the appointment chain.';
+        default:
+            return result?.message || 'The RSO request could not be created.';
+    }
+}
+
+function formatDate(value) {
+    if (!value) {
+        return '';
+    }
+    // Apex Dates arrive as yyyy-mm-dd - read them as local dates
+    const [year, month, day] = String(value).split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
@@ -4,33 +4,49 @@
  *
  * Features:
  * - View current SA status
- * - Suggest next status (Travel, In Progress, Completed)
+ * - Suggest next status from the org's status transitions (custom metadata or Field Service
+ *   status transitions, per work type), falling back to the default workflow
+ * - Check prerequisites (Work Steps, signature, notes, arrival location) before a status change,
+ *   set up per work type in custom metadata
  * - Block appointment (Cannot Complete) with reason
  * - Trigger RSO for blocked appointments (including dependency chains)
+ * - Show which resources and appointments RSO covered, with a retry for failed requests
+ * - Reopen blocked appointments once the blocker is resolved, optionally rescheduling the chain
+ * - Record device location and time of each status change (actual start/end times, status history)
+ * - Queue status changes and blocks offline, syncing them (with conflict checks) once back online
  */
 import { LightningElement, api, wire, track } from 'lwc';
-import { gql, graphql } from 'lightning/uiGraphQLApi';
+import { gql, graphql, refreshGraphQL } from 'lightning/uiGraphQLApi';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { CloseActionScreenEvent } from 'lightning/actions';
-import { updateRecord } from 'lightning/uiRecordApi';
+import { updateRecord, createRecord } from 'lightning/uiRecordApi';
 import SA_ID from '@salesforce/schema/ServiceAppointment.Id';
 import SA_STATUS from '@salesforce/schema/ServiceAppointment.Status';
+import SA_COMMENTS from '@salesforce/schema/ServiceAppointment.Comments';
 
-// Apex methods for RSO
+// Apex methods for RSO and the status workflow
 import triggerRSOForBlockedAppointment from '@salesforce/apex/SAStatusUpdateController.triggerRSOForBlockedAppointment';
 import getAppointmentChain from '@salesforce/apex/SAStatusUpdateController.getAppointmentChain';
-
-// Status configuration
-const STATUS_CONFIG = {
-    'None': { next: ['Scheduled'], color: '#706e6b', icon: 'utility:clock' },
-    'Scheduled': { next: ['Dispatched', 'Travel'], color: '#0070d2', icon: 'utility:event' },
-    'Dispatched': { next: ['Travel', 'In Progress'], color: '#ff9a3c', icon: 'utility:routing_offline' },
-    'Travel': { next: ['In Progress'], color: '#1589ee', icon: 'utility:travel_and_places' },
-    'In Progress': { next: ['Completed', 'Cannot Complete'], color: '#04844b', icon: 'utility:activity' },
-    'Completed': { next: [], color: '#2e844a', icon: 'utility:check' },
-    'Cannot Complete': { next: [], color: '#c23934', icon: 'utility:close' },
-    'Canceled': { next: [], color: '#706e6b', icon: 'utility:ban' }
-};
+import getStatusWorkflow from '@salesforce/apex/SAStatusUpdateController.getStatusWorkflow';
+import getAppointmentSyncState from '@salesforce/apex/SAStatusUpdateController.getAppointmentSyncState';
+import retryRSORequests from '@salesforce/apex/SAStatusUpdateController.retryRSORequests';
+import reopenBlockedAppointment from '@salesforce/apex/SAStatusUpdateController.reopenBlockedAppointment';
+import { buildWorkflow, nextStatuses, statusDisplay, isClosedStatus, isBlockedStatus, reopenStatuses } from './statusWorkflow';
+import { resolveStatusGates, buildMetadataGates, gatesFor, evaluateGates, needsLocation, needsNotes, DEFAULT_STATUS_GATES } from './statusGates';
+import { getDeviceLocation } from './deviceLocation';
+import { buildActualTimeFields, buildHistoryRecord, isRecentLocation } from './statusHistory';
+import { summarizeRsoResult, mergeRetryResult } from './rsoResult';
+import {
+    QUEUE_ACTION,
+    QUEUE_STATE,
+    createEntry,
+    loadQueue,
+    saveQueue,
+    isOffline,
+    isNetworkError,
+    detectConflict,
+    describeEntry
+} from './offlineQueue';
 
 const BLOCK_REASONS = [
     { label: 'Customer Not Available', value: 'Customer Not Available' },
@@ -43,9 +59,55 @@ const BLOCK_REASONS = [
     { label: 'Other', value: 'Other' }
 ];
 
+const RESOLUTIONS = [
+    { label: 'Customer Now Available', value: 'Customer Now Available' },
+    { label: 'Equipment Repaired', value: 'Equipment Repaired' },
+    { label: 'Parts Arrived', value: 'Parts Arrived' },
+    { label: 'Access Granted', value: 'Access Granted' },
+    { label: 'Weather Cleared', value: 'Weather Cleared' },
+    { label: 'Safety Concern Resolved', value: 'Safety Concern Resolved' },
+    { label: 'Dependency Completed', value: 'Dependency Completed' },
+    { label: 'Other', value: 'Other' }
+];
+
+const BLOCKED_STATUS = 'Cannot Complete';
+
+// Label and icon per draft state in the sync indicator
+const QUEUE_STATE_DISPLAY = {
+    [QUEUE_STATE.PENDING]: { label: 'Waiting to sync', icon: 'utility:offline' },
+    [QUEUE_STATE.SYNCING]: { label: 'Syncing...', icon: 'utility:sync' },
+    [QUEUE_STATE.FAILED]: { label: 'Sync failed', icon: 'utility:error' },
+    [QUEUE_STATE.CONFLICT]: { label: 'Changed by dispatch', icon: 'utility:warning' }
+};
+
+// Signature types that do not count as the customer's signature
+const NON_CUSTOMER_SIGNATURE_TYPES = ['Technician'];
+
 export default class SaStatusUpdate extends LightningElement {
     @api recordId;
 
+    // JSON object of prerequisites per target status, replacing the metadata gates and defaults - see statusGates.js
+    @api
+    get statusGates() {
+        return this._statusGates;
+    }
+    set statusGates(value) {
+        this._statusGates = value;
+        this.applyGates();
+    }
+    _statusGates;
+    gates = DEFAULT_STATUS_GATES;
+
+    // Prerequisites from SA Status Gate custom metadata for this appointment's work type, null when none
+    metadataGates = null;
+
+    applyGates() {
+        this.gatesError = '';
+        this.gates = resolveStatusGates(this._statusGates, message => {
+            this.gatesError = message;
+        }, this.metadataGates || DEFAULT_STATUS_GATES);
+    }
+
     @track isProcessing = false;
     @track showBlockModal = false;
     @track blockReason = '';
@@ -53,7 +115,62 @@ export default class SaStatusUpdate extends LightningElement {
     @track dependentAppointments = [];
     @track showDependencyWarning = false;
 
+    // Reopening a blocked appointment
+    @track showReopenModal = false;
+    @track resolution = '';
+    @track resolutionNotes = '';
+    @track reopenStatus = '';
+    @track rescheduleChain = false;
+
+    // Status change waiting on its prerequisites
+    @track pendingStatus = null;
+    @track completionNotes = '';
+    @track arrivalLocation = null;
+    @track gatesError = '';
+    @track workSteps = null;
+    @track signatures = null;
+    workStepsResult;
+    signaturesResult;
+
+    // Drafts waiting to sync, oldest first - see offlineQueue.js
+    @track queue = [];
+    @track isSyncing = false;
+    @track lastSyncMessage = '';
+
+    // Outcome of the last RSO request - see rsoResult.js
+    @track rsoResult = null;
+    @track isRetryingRso = false;
+
+    connectedCallback() {
+        this.queue = loadQueue(this.recordId);
+        this.handleOnline = () => this.syncQueue();
+        window.addEventListener('online', this.handleOnline);
+        if (this.queue.length && !isOffline()) {
+            this.syncQueue();
+        }
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener('online', this.handleOnline);
+    }
+
     blockReasons = BLOCK_REASONS;
+    resolutions = RESOLUTIONS;
+
+    // Status transitions for this appointment's work type - the default workflow until loaded, or offline
+    @track workflow = buildWorkflow(null);
+
+    @wire(getStatusWorkflow, { appointmentId: '$recordId' })
+    wiredStatusWorkflow({ data, error }) {
+        if (data) {
+            this.workflow = buildWorkflow(data);
+            this.metadataGates = buildMetadataGates(data.gates);
+            this.applyGates();
+        } else if (error) {
+            console.error('Error loading status workflow:', error);
+            this.workflow = buildWorkflow(null);
+        }
+    }
 
     // GraphQL query for Service Appointment details
     @wire(graphql, {
@@ -71,6 +188,7 @@ export default class SaStatusUpdate extends LightningElement {
                                     Subject { value }
                                     SchedStartTime { value }
                                     SchedEndTime { value }
+                                    ActualStartTime { value }
                                     FSL__Time_Dependency__c { value }
                                     FSL__Related_Service__c { value }
                                     ServiceTerritoryId { value }
@@ -78,6 +196,7 @@ export default class SaStatusUpdate extends LightningElement {
                                         Name { value }
                                     }
                                     ParentRecordId { value }
+                                    Comments { value }
                                     Account {
                                         Name { value }
                                     }
@@ -96,6 +215,85 @@ export default class SaStatusUpdate extends LightningElement {
         return { recordId: this.recordId };
     }
 
+    // Work Steps of the parent Work Order or Work Order Line Item - for the Work Steps gate
+    @wire(graphql, {
+        query: gql`
+            query getGateWorkSteps($parentId: ID) {
+                uiapi {
+                    query {
+                        WorkStep(
+                            where: { or: [{ WorkOrderId: { eq: $parentId } }, { WorkOrderLineItemId: { eq: $parentId } }] }
+                            first: 200
+                        ) {
+                            edges {
+                                node {
+                                    Id
+                                    Name { value }
+                                    Status { value }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `,
+        variables: '$parentVariables'
+    })
+    wiredWorkSteps(result) {
+        this.workStepsResult = result;
+        if (result.data) {
+            this.workSteps = (result.data.uiapi?.query?.WorkStep?.edges || []).map(edge => ({
+                name: edge.node.Name?.value,
+                status: edge.node.Status?.value
+            }));
+        } else if (result.errors) {
+            console.error('Error loading Work Steps:', result.errors);
+            this.workSteps = null;
+        }
+    }
+
+    // Signatures captured on the appointment or its parent record - for the signature gate
+    @wire(graphql, {
+        query: gql`
+            query getGateSignatures($recordId: ID, $parentId: ID) {
+                uiapi {
+                    query {
+                        DigitalSignature(
+                            where: { or: [{ ParentId: { eq: $recordId } }, { ParentId: { eq: $parentId } }] }
+                            first: 20
+                        ) {
+                            edges {
+                                node {
+                                    Id
+                                    SignedBy { value }
+                                    SignatureType { value }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        `,
+        variables: '$parentVariables'
+    })
+    wiredSignatures(result) {
+        this.signaturesResult = result;
+        if (result.data) {
+            this.signatures = (result.data.uiapi?.query?.DigitalSignature?.edges || [])
+                .map(edge => ({ signedBy: edge.node.SignedBy?.value, type: edge.node.SignatureType?.value }))
+                .filter(signature => !NON_CUSTOMER_SIGNATURE_TYPES.includes(signature.type));
+        } else if (result.errors) {
+            console.error('Error loading signatures:', result.errors);
+            this.signatures = null;
+        }
+    }
+
+    // Undefined until the parent record is known, so the gate queries wait for it
+    get parentVariables() {
+        const parentId = this.serviceAppointment?.ParentRecordId?.value;
+        return parentId ? { recordId: this.recordId, parentId } : undefined;
+    }
+
     // Process the GraphQL result
     get serviceAppointment() {
         if (this.serviceAppointmentResult?.data?.uiapi?.query?.ServiceAppointment?.edges?.length > 0) {
@@ -109,10 +307,19 @@ export default class SaStatusUpdate extends LightningElement {
         return this.serviceAppointment?.AppointmentNumber?.value || 'Loading...';
     }
 
-    get currentStatus() {
+    get serverStatus() {
         return this.serviceAppointment?.Status?.value || 'None';
     }
 
+    // The status of the newest draft while changes wait to sync
+    get currentStatus() {
+        return this.queue.length ? this.queue[this.queue.length - 1].status : this.serverStatus;
+    }
+
+    get isStatusUnsynced() {
+        return this.queue.length > 0;
+    }
+
     get subject() {
         return this.serviceAppointment?.Subject?.value || 'Service Appointment';
     }
@@ -147,74 +354,244 @@ export default class SaStatusUpdate extends LightningElement {
         return this.serviceAppointment?.FSL__Time_Dependency__c?.value || '';
     }
 
-    get statusConfig() {
-        return STATUS_CONFIG[this.currentStatus] || STATUS_CONFIG['None'];
+    // Unknown for a draft status - the status name is used instead
+    get statusCategory() {
+        return this.queue.length ? '' : (this.serviceAppointment?.StatusCategory?.value || '');
+    }
+
+    get currentStatusDisplay() {
+        return statusDisplay(this.workflow, this.currentStatus, this.statusCategory);
     }
 
     get statusColor() {
-        return `color: ${this.statusConfig.color}; font-weight: 600;`;
+        return `color: ${this.currentStatusDisplay.color}; font-weight: 600;`;
     }
 
     get statusIcon() {
-        return this.statusConfig.icon;
+        return this.currentStatusDisplay.icon;
     }
 
+    // A blocked appointment's transitions are offered through Reopen instead
     get nextStatusOptions() {
-        const config = this.statusConfig;
-        return config.next.map(status => ({
-            label: status,
-            value: status,
-            variant: status === 'Completed' ? 'success' : 'neutral',
-            icon: STATUS_CONFIG[status]?.icon || 'utility:forward'
+        if (this.isBlocked) {
+            return [];
+        }
+        return nextStatuses(this.workflow, this.currentStatus, this.statusCategory).map(option => ({
+            ...option,
+            variant: option.value === 'Completed' ? 'success' : 'neutral'
         }));
     }
 
     get canUpdateStatus() {
-        return this.statusConfig.next.length > 0;
+        return this.nextStatusOptions.length > 0;
     }
 
     get showBlockButton() {
-        return this.currentStatus !== 'Cannot Complete' &&
-               this.currentStatus !== 'Completed' &&
-               this.currentStatus !== 'Canceled';
+        return !isClosedStatus(this.currentStatus, this.statusCategory);
+    }
+
+    get isBlocked() {
+        return isBlockedStatus(this.currentStatus, this.statusCategory);
+    }
+
+    get reopenStatusOptions() {
+        return reopenStatuses(this.workflow, this.currentStatus, this.statusCategory)
+            .map(option => ({ label: option.label, value: option.value }));
+    }
+
+    get showReopenButton() {
+        return this.isBlocked && this.reopenStatusOptions.length > 0;
+    }
+
+    get isReopenConfirmDisabled() {
+        return this.isProcessing || !this.resolution || !this.reopenStatus;
     }
 
     get isBlockReasonSelected() {
         return this.blockReason && this.blockReason.trim() !== '';
     }
 
+    get showGateModal() {
+        return !!this.pendingStatus;
+    }
+
+    get gateEvaluation() {
+        return evaluateGates(this.gates, this.pendingStatus, {
+            workSteps: this.workSteps,
+            signatures: this.signatures,
+            notes: this.completionNotes,
+            location: this.arrivalLocation
+        });
+    }
+
+    get gateResults() {
+        return this.gateEvaluation.results.map(result => ({
+            ...result,
+            icon: result.passed ? 'utility:success' : (result.isBlocking ? 'utility:error' : 'utility:warning'),
+            iconVariant: result.passed ? 'success' : (result.isBlocking ? 'error' : 'warning'),
+            itemClass: `gate-item ${result.passed ? 'gate-passed' : (result.isBlocking ? 'gate-blocking' : 'gate-warning')}`
+        }));
+    }
+
+    get gateSummary() {
+        const evaluation = this.gateEvaluation;
+        if (evaluation.isBlocked) {
+            return `Complete the required items before changing to ${this.pendingStatus}.`;
+        }
+        if (evaluation.hasWarnings) {
+            return `Some items are missing. You can still change to ${this.pendingStatus}.`;
+        }
+        return `Ready to change to ${this.pendingStatus}.`;
+    }
+
+    get showNotesInput() {
+        return needsNotes(this.gates, this.pendingStatus);
+    }
+
+    get isGateConfirmDisabled() {
+        return this.isProcessing || this.gateEvaluation.isBlocked;
+    }
+
+    get gateConfirmLabel() {
+        return this.gateEvaluation.hasWarnings ? 'Continue Anyway' : `Change to ${this.pendingStatus}`;
+    }
+
     // Event handlers
     handleStatusUpdate(event) {
         const newStatus = event.target.dataset.status;
-        this.updateAppointmentStatus(newStatus);
+        this.requestStatusChange(newStatus);
+    }
+
+    /**
+     * Check the target status's prerequisites, changing the status straight away when they all pass
+     * Otherwise the prerequisites dialog shows what is missing
+     */
+    async requestStatusChange(newStatus) {
+        if (!gatesFor(this.gates, newStatus).length) {
+            this.updateAppointmentStatus(newStatus);
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            await this.refreshGateData();
+            if (needsLocation(this.gates, newStatus)) {
+                this.arrivalLocation = await getDeviceLocation();
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+
+        if (!this.completionNotes) {
+            this.completionNotes = this.serviceAppointment?.Comments?.value || '';
+        }
+        this.pendingStatus = newStatus;
+
+        const evaluation = this.gateEvaluation;
+        if (!evaluation.isBlocked && !evaluation.hasWarnings) {
+            this.confirmPendingStatus();
+        }
     }
 
-    async updateAppointmentStatus(newStatus) {
+    // Latest Work Steps and signatures - they may have been completed since the component loaded
+    async refreshGateData() {
+        try {
+            await Promise.all([
+                this.workStepsResult ? refreshGraphQL(this.workStepsResult) : null,
+                this.signaturesResult ? refreshGraphQL(this.signaturesResult) : null
+            ]);
+        } catch (error) {
+            // Offline - the cached records are used
+            console.error('Error refreshing prerequisites:', error);
+        }
+    }
+
+    handleCompletionNotesChange(event) {
+        this.completionNotes = event.target.value;
+    }
+
+    handleRecheckGates() {
+        this.requestStatusChange(this.pendingStatus);
+    }
+
+    handleCloseGateModal() {
+        this.pendingStatus = null;
+    }
+
+    handleConfirmGates() {
+        if (!this.gateEvaluation.isBlocked) {
+            this.confirmPendingStatus();
+        }
+    }
+
+    confirmPendingStatus() {
+        const newStatus = this.pendingStatus;
+        const extraFields = {};
+        if (needsNotes(this.gates, newStatus) && this.completionNotes.trim()) {
+            extraFields[SA_COMMENTS.fieldApiName] = this.completionNotes.trim();
+        }
+        this.pendingStatus = null;
+        this.updateAppointmentStatus(newStatus, extraFields);
+    }
+
+    /**
+     * Save a status change - queued as a draft when offline, or behind drafts that have not synced yet
+     */
+    async updateAppointmentStatus(newStatus, extraFields = {}) {
+        const baseStatus = this.currentStatus;
         this.isProcessing = true;
         try {
-            const fields = {};
+            const transition = await this.captureTransition(newStatus);
+            const fields = { ...extraFields, ...transition.fields };
             fields[SA_ID.fieldApiName] = this.recordId;
             fields[SA_STATUS.fieldApiName] = newStatus;
+            const entry = createEntry(QUEUE_ACTION.STATUS, { status: newStatus, fields, baseStatus, history: transition.history });
 
-            await updateRecord({ fields });
+            if (isOffline() || this.queue.length) {
+                this.enqueue(entry);
+                return;
+            }
 
-            this.dispatchEvent(new ShowToastEvent({
-                title: 'Status Updated',
-                message: `Appointment status changed to ${newStatus}`,
-                variant: 'success'
-            }));
+            try {
+                await this.applyEntry(entry);
 
-        } catch (error) {
-            this.dispatchEvent(new ShowToastEvent({
-                title: 'Error',
-                message: error.body?.message || 'Failed to update status',
-                variant: 'error'
-            }));
+                this.dispatchEvent(new ShowToastEvent({
+                    title: 'Status Updated',
+                    message: `Appointment status changed to ${newStatus}`,
+                    variant: 'success'
+                }));
+
+            } catch (error) {
+                if (isNetworkError(error)) {
+                    this.enqueue(entry);
+                } else {
+                    this.dispatchEvent(new ShowToastEvent({
+                        title: 'Error',
+                        message: error.body?.message || 'Failed to update status',
+                        variant: 'error'
+                    }));
+                }
+            }
         } finally {
             this.isProcessing = false;
         }
     }
 
+    /**
+     * Device time and location of a change to newStatus, taken when the technician acts
+     * Returns { fields: actual start/end times, history: SA Status History record input }
+     */
+    async captureTransition(newStatus) {
+        const changedAt = new Date().toISOString();
+        const location = isRecentLocation(this.arrivalLocation) ? this.arrivalLocation : await getDeviceLocation();
+        return {
+            fields: buildActualTimeFields(newStatus, changedAt, {
+                actualStartTime: this.serviceAppointment?.ActualStartTime?.value
+            }),
+            history: buildHistoryRecord(this.recordId, this.currentStatus, newStatus, changedAt, location, isOffline())
+        };
+    }
+
     handleBlockClick() {
         this.showBlockModal = true;
         this.loadDependentAppointments();
@@ -258,41 +635,449 @@ export default class SaStatusUpdate extends LightningElement {
             return;
         }
 
+        const baseStatus = this.currentStatus;
         this.isProcessing = true;
+        let entry;
         try {
-            // Update status to Cannot Complete
-            const fields = {};
+            const transition = await this.captureTransition(BLOCKED_STATUS);
+            const fields = { ...transition.fields };
             fields[SA_ID.fieldApiName] = this.recordId;
-            fields[SA_STATUS.fieldApiName] = 'Cannot Complete';
-
-            await updateRecord({ fields });
-
-            // Trigger RSO for this appointment and dependencies
-            const rsoResult = await triggerRSOForBlockedAppointment({
-                appointmentId: this.recordId,
+            fields[SA_STATUS.fieldApiName] = BLOCKED_STATUS;
+            entry = createEntry(QUEUE_ACTION.BLOCK, {
+                status: BLOCKED_STATUS,
+                fields,
+                baseStatus,
+                history: transition.history,
                 blockReason: this.blockReason,
                 blockNotes: this.blockNotes
             });
 
+            // RSO and the Chatter post need the server - the whole block waits for connectivity
+            if (isOffline() || this.queue.length) {
+                this.enqueue(entry);
+                this.handleCloseBlockModal();
+                return;
+            }
+
+            // Update status to Cannot Complete, then trigger RSO for this appointment and dependencies
+            await this.applyEntry(entry);
+
+            const summary = this.rsoSummary;
             this.dispatchEvent(new ShowToastEvent({
                 title: 'Appointment Blocked',
-                message: `RSO triggered for ${rsoResult.rsoCount} resource(s)`,
-                variant: 'success'
+                message: summary.message,
+                variant: summary.variant
             }));
 
             this.handleCloseBlockModal();
 
+        } catch (error) {
+            if (entry && isNetworkError(error)) {
+                // Connection lost part way - what is left is retried on sync
+                this.enqueue(entry);
+                this.handleCloseBlockModal();
+            } else {
+                this.dispatchEvent(new ShowToastEvent({
+                    title: 'Error',
+                    message: error.body?.message || 'Failed to block appointment',
+                    variant: 'error'
+                }));
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    handleReopenClick() {
+        this.reopenStatus = this.reopenStatusOptions[0]?.value || '';
+        this.showReopenModal = true;
+        this.loadDependentAppointments();
+    }
+
+    handleCloseReopenModal() {
+        this.showReopenModal = false;
+        this.resolution = '';
+        this.resolutionNotes = '';
+        this.reopenStatus = '';
+        this.rescheduleChain = false;
+        this.dependentAppointments = [];
+        this.showDependencyWarning = false;
+    }
+
+    handleResolutionChange(event) {
+        this.resolution = event.detail.value;
+    }
+
+    handleResolutionNotesChange(event) {
+        this.resolutionNotes = event.target.value;
+    }
+
+    handleReopenStatusChange(event) {
+        this.reopenStatus = event.detail.value;
+    }
+
+    handleRescheduleChainChange(event) {
+        this.rescheduleChain = event.target.checked;
+    }
+
+    /**
+     * Reopen a blocked appointment - the status change, then the Gantt color, Chatter post and
+     * optional RSO for the chain on the server
+     */
+    async handleConfirmReopen() {
+        if (this.isReopenConfirmDisabled) {
+            return;
+        }
+
+        const newStatus = this.reopenStatus;
+        const baseStatus = this.currentStatus;
+        this.isProcessing = true;
+        let entry;
+        try {
+            const transition = await this.captureTransition(newStatus);
+            // The appointment is no longer finished
+            const fields = { ...transition.fields, ActualEndTime: null };
+            fields[SA_ID.fieldApiName] = this.recordId;
+            fields[SA_STATUS.fieldApiName] = newStatus;
+            entry = createEntry(QUEUE_ACTION.REOPEN, {
+                status: newStatus,
+                fields,
+                baseStatus,
+                history: transition.history,
+                resolution: this.resolution,
+                resolutionNotes: this.resolutionNotes,
+                rescheduleChain: this.rescheduleChain
+            });
+
+            if (isOffline() || this.queue.length) {
+                this.enqueue(entry);
+                this.handleCloseReopenModal();
+                return;
+            }
+
+            await this.applyEntry(entry);
+
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Appointment Reopened',
+                message: this.rsoSummary
+                    ? `Status changed to ${newStatus}. ${this.rsoSummary.message}`
+                    : `Status changed to ${newStatus}`,
+                variant: this.rsoSummary && this.rsoSummary.variant !== 'success' ? this.rsoSummary.variant : 'success'
+            }));
+
+            this.handleCloseReopenModal();
+
+        } catch (error) {
+            if (entry && isNetworkError(error)) {
+                this.enqueue(entry);
+                this.handleCloseReopenModal();
+            } else if (entry?.statusApplied) {
+                // The appointment is no longer blocked, so the modal can't be reopened - Retry on the draft
+                // finishes clearing the Gantt color, the Chatter post and the RSO
+                const message = error.body?.message || error.message;
+                this.queue = [...this.queue, { ...entry, state: QUEUE_STATE.FAILED, error: message }];
+                saveQueue(this.recordId, this.queue);
+                this.handleCloseReopenModal();
+                this.dispatchEvent(new ShowToastEvent({
+                    title: 'Appointment Reopened',
+                    message: `Status changed to ${newStatus}, but the blocked state was not cleared: ${message}. Tap Retry on the draft to finish.`,
+                    variant: 'warning'
+                }));
+            } else {
+                this.dispatchEvent(new ShowToastEvent({
+                    title: 'Error',
+                    message: error.body?.message || 'Failed to reopen appointment',
+                    variant: 'error'
+                }));
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Offline queue
+
+    get hasQueue() {
+        return this.queue.length > 0;
+    }
+
+    get queueItems() {
+        return this.queue.map(entry => {
+            const display = QUEUE_STATE_DISPLAY[entry.state];
+            const conflict = entry.conflict;
+            return {
+                id: entry.id,
+                label: describeEntry(entry),
+                stateLabel: display.label,
+                stateIcon: display.icon,
+                itemClass: `queue-item queue-${entry.state}`,
+                isConflict: entry.state === QUEUE_STATE.CONFLICT,
+                isFailed: entry.state === QUEUE_STATE.FAILED,
+                error: entry.error,
+                conflictMessage: conflict
+                    ? `Dispatch changed the status to ${conflict.serverStatus}${conflict.modifiedBy ? ` (${conflict.modifiedBy})` : ''} while you were offline.`
+                    : ''
+            };
+        });
+    }
+
+    get syncSummary() {
+        if (this.isSyncing) {
+            return 'Syncing changes...';
+        }
+        if (this.queue.some(entry => entry.state === QUEUE_STATE.CONFLICT)) {
+            return 'A change needs your decision';
+        }
+        if (this.queue.some(entry => entry.state === QUEUE_STATE.FAILED)) {
+            return 'A change could not be synced';
+        }
+        const count = this.queue.length;
+        return `${count} change${count === 1 ? '' : 's'} waiting to sync`;
+    }
+
+    get canSyncNow() {
+        return !this.isSyncing && !isOffline();
+    }
+
+    get showSyncedMessage() {
+        return !this.queue.length && !!this.lastSyncMessage;
+    }
+
+    enqueue(entry) {
+        this.queue = [...this.queue, entry];
+        saveQueue(this.recordId, this.queue);
+        this.lastSyncMessage = '';
+
+        this.dispatchEvent(new ShowToastEvent({
+            title: 'Saved Offline',
+            message: `${describeEntry(entry)} will sync when you are back online`,
+            variant: 'info'
+        }));
+
+        if (!isOffline()) {
+            this.syncQueue();
+        }
+    }
+
+    updateEntry(id, changes) {
+        this.queue = this.queue.map(entry => (entry.id === id ? { ...entry, ...changes } : entry));
+        saveQueue(this.recordId, this.queue);
+    }
+
+    removeEntry(id) {
+        this.queue = this.queue.filter(entry => entry.id !== id);
+        saveQueue(this.recordId, this.queue);
+    }
+
+    /**
+     * Replay drafts in order, stopping at a conflict or failure for the technician to resolve
+     */
+    async syncQueue() {
+        if (this.isSyncing || isOffline() || !this.queue.length) {
+            return;
+        }
+
+        this.isSyncing = true;
+        let synced = 0;
+        try {
+            while (this.queue.length) {
+                const entry = this.queue[0];
+                if (entry.state === QUEUE_STATE.CONFLICT || entry.state === QUEUE_STATE.FAILED) {
+                    break;
+                }
+
+                this.updateEntry(entry.id, { state: QUEUE_STATE.SYNCING, error: '' });
+                try {
+                    const serverState = await getAppointmentSyncState({ appointmentId: this.recordId });
+                    const conflict = detectConflict(entry, serverState);
+                    if (conflict) {
+                        this.updateEntry(entry.id, { state: QUEUE_STATE.CONFLICT, conflict });
+                        break;
+                    }
+                    await this.applyEntry(entry);
+                    this.removeEntry(entry.id);
+                    synced++;
+                } catch (error) {
+                    if (isNetworkError(error)) {
+                        this.updateEntry(entry.id, { state: QUEUE_STATE.PENDING });
+                    } else {
+                        this.updateEntry(entry.id, {
+                            state: QUEUE_STATE.FAILED,
+                            error: error.body?.message || error.message || 'Sync failed'
+                        });
+                    }
+                    break;
+                }
+            }
+        } finally {
+            this.isSyncing = false;
+        }
+
+        if (synced) {
+            this.lastSyncMessage = `${synced} change${synced === 1 ? '' : 's'} synced`;
+            if (this.serviceAppointmentResult) {
+                refreshGraphQL(this.serviceAppointmentResult).catch(error => {
+                    console.error('Error refreshing appointment:', error);
+                });
+            }
+        }
+    }
+
+    /**
+     * Apply a draft - status update, the server-side work of a block or reopen, then the status history record
+     * Each step is marked done on the draft so a retry picks up where it stopped
+     */
+    async applyEntry(entry) {
+        if (!entry.statusApplied) {
+            await updateRecord({ fields: entry.fields });
+            this.markEntry(entry, { statusApplied: true });
+        }
+
+        if (entry.action === QUEUE_ACTION.REOPEN && !entry.actionApplied) {
+            const rsoResult = await reopenBlockedAppointment({
+                appointmentId: this.recordId,
+                resolution: entry.resolution,
+                resolutionNotes: entry.resolutionNotes,
+                rescheduleChain: entry.rescheduleChain
+            });
+            // The block's RSO result no longer applies
+            this.rsoResult = rsoResult || null;
+            this.markEntry(entry, { actionApplied: true });
+        } else if (entry.action === QUEUE_ACTION.BLOCK && !entry.actionApplied) {
+            // The block is done once the status is saved - RSO failures are shown with a retry, not thrown
+            this.rsoResult = await triggerRSOForBlockedAppointment({
+                appointmentId: this.recordId,
+                blockReason: entry.blockReason,
+                blockNotes: entry.blockNotes
+            });
+            this.markEntry(entry, { actionApplied: true });
+        }
+
+        await this.saveHistory(entry);
+    }
+
+    /**
+     * Status history is best-effort - a technician without access to SA Status History still changes status
+     * Only a lost connection is thrown, so the draft is kept and retries the history alone
+     */
+    async saveHistory(entry) {
+        if (!entry.history || entry.historyCreated) {
+            return;
+        }
+        try {
+            await createRecord(entry.history);
+            this.markEntry(entry, { historyCreated: true });
+        } catch (error) {
+            if (isNetworkError(error)) {
+                throw error;
+            }
+            console.error('Status history not saved:', error);
+        }
+    }
+
+    // Record progress on a draft, whether it is queued or being applied directly
+    markEntry(entry, changes) {
+        Object.assign(entry, changes);
+        if (this.queue.some(candidate => candidate.id === entry.id)) {
+            this.updateEntry(entry.id, changes);
+        }
+    }
+
+    handleSyncNow() {
+        this.syncQueue();
+    }
+
+    // Conflict - apply the technician's change over the status dispatch set
+    handleApplyMine(event) {
+        const entry = this.queue.find(candidate => candidate.id === event.target.dataset.id);
+        if (entry) {
+            this.updateEntry(entry.id, { state: QUEUE_STATE.PENDING, baseStatus: entry.conflict.serverStatus, conflict: null });
+            this.syncQueue();
+        }
+    }
+
+    // Conflict - keep what dispatch set and drop the technician's change
+    handleKeepServer(event) {
+        this.removeEntry(event.target.dataset.id);
+        this.syncQueue();
+    }
+
+    handleRetryEntry(event) {
+        this.updateEntry(event.target.dataset.id, { state: QUEUE_STATE.PENDING, error: '' });
+        this.syncQueue();
+    }
+
+    handleDiscardEntry(event) {
+        this.removeEntry(event.target.dataset.id);
+        this.syncQueue();
+    }
+
+    // RSO results
+
+    get rsoSummary() {
+        return this.rsoResult ? summarizeRsoResult(this.rsoResult) : null;
+    }
+
+    get rsoPanelClass() {
+        return `rso-panel rso-${this.rsoSummary.outcome}`;
+    }
+
+    get hasRsoSubmissions() {
+        return this.rsoSummary.submissions.length > 0;
+    }
+
+    get hasRsoAppointments() {
+        return this.rsoSummary.appointments.length > 0;
+    }
+
+    get rsoRetryLabel() {
+        return this.rsoSummary.failedResourceIds.length ? 'Retry Failed' : 'Retry';
+    }
+
+    get isRsoRetryDisabled() {
+        return this.isRetryingRso || isOffline();
+    }
+
+    /**
+     * Request optimization again for the resources that failed - all of them when none was submitted
+     * The block or reopen itself (status, Gantt color, Chatter post) is not repeated
+     */
+    async handleRetryRso() {
+        const summary = this.rsoSummary;
+        if (!summary) {
+            return;
+        }
+
+        this.isRetryingRso = true;
+        try {
+            const retry = await retryRSORequests({
+                appointmentId: this.recordId,
+                description: this.rsoResult.requestDescription,
+                resourceIds: summary.failedResourceIds.length ? summary.failedResourceIds : null
+            });
+            this.rsoResult = mergeRetryResult(this.rsoResult, retry);
+
+            const merged = this.rsoSummary;
+            this.dispatchEvent(new ShowToastEvent({
+                title: merged.title,
+                message: merged.message,
+                variant: merged.variant
+            }));
         } catch (error) {
             this.dispatchEvent(new ShowToastEvent({
                 title: 'Error',
-                message: error.body?.message || 'Failed to block appointment',
+                message: error.body?.message || 'Failed to retry the RSO request',
                 variant: 'error'
             }));
         } finally {
-            this.isProcessing = false;
+            this.isRetryingRso = false;
         }
     }
 
+    handleDismissRso() {
+        this.rsoResult = null;
+    }
+
     handleClose() {
         this.dispatchEvent(new CloseActionScreenEvent());
     }
@@ -0,0 +1,160 @@
+/**
+ * Prerequisites checked before a Service Appointment moves to a status
+ *
+ * Gates are keyed by target status; each lists checks with a mode:
+ *   block - the status change is not allowed until the check passes
+ *   warn  - the technician sees what is missing and can continue anyway
+ * The component's statusGates property takes a JSON object in the same shape:
+ *   { "Completed": [{ "check": "workStepsComplete", "mode": "block" }, { "check": "signature", "mode": "warn" }] }
+ * Without it the gates come from SA Status Gate custom metadata, else DEFAULT_STATUS_GATES - which only warn,
+ * so an org that has not set up its prerequisites can still complete appointments
+ */
+
+export const GATE_MODE = {
+    BLOCK: 'block',
+    WARN: 'warn'
+};
+
+export const GATE_CHECK = {
+    WORK_STEPS_COMPLETE: 'workStepsComplete',
+    SIGNATURE: 'signature',
+    COMPLETION_NOTES: 'completionNotes',
+    ARRIVAL_LOCATION: 'arrivalLocation'
+};
+
+export const DEFAULT_STATUS_GATES = {
+    'Completed': [
+        { check: GATE_CHECK.WORK_STEPS_COMPLETE, mode: GATE_MODE.WARN },
+        { check: GATE_CHECK.SIGNATURE, mode: GATE_MODE.WARN },
+        { check: GATE_CHECK.COMPLETION_NOTES, mode: GATE_MODE.WARN }
+    ],
+    'In Progress': [
+        { check: GATE_CHECK.ARRIVAL_LOCATION, mode: GATE_MODE.WARN }
+    ]
+};
+
+const WORK_STEP_DONE_STATUSES = ['Completed', 'Skipped'];
+
+/**
+ * Each check reads the gate context and returns { passed, detail }
+ * context: { workSteps: [{ name, status }] | null, signatures: [{ signedBy }] | null, notes, location }
+ * A null list means the records could not be loaded
+ */
+const CHECKS = {
+    [GATE_CHECK.WORK_STEPS_COMPLETE]: {
+        label: 'All Work Steps completed',
+        evaluate: ({ workSteps }) => {
+            if (!workSteps) {
+                return { passed: false, detail: 'Work Steps could not be loaded' };
+            }
+            const open = workSteps.filter(step => !WORK_STEP_DONE_STATUSES.includes(step.status));
+            return open.length
+                ? { passed: false, detail: `${open.length} of ${workSteps.length} open: ${open.map(step => step.name).join(', ')}` }
+                : { passed: true, detail: workSteps.length ? `${workSteps.length} done` : 'No Work Steps' };
+        }
+    },
+    [GATE_CHECK.SIGNATURE]: {
+        label: 'Customer signature',
+        evaluate: ({ signatures }) => {
+            if (!signatures) {
+                return { passed: false, detail: 'Signatures could not be loaded' };
+            }
+            return signatures.length
+                ? { passed: true, detail: signatures[0].signedBy ? `Signed by ${signatures[0].signedBy}` : 'Signed' }
+                : { passed: false, detail: 'Capture the customer signature' };
+        }
+    },
+    [GATE_CHECK.COMPLETION_NOTES]: {
+        label: 'Completion notes',
+        evaluate: ({ notes }) => (
+            notes && notes.trim()
+                ? { passed: true, detail: '' }
+                : { passed: false, detail: 'Enter completion notes below' }
+        )
+    },
+    [GATE_CHECK.ARRIVAL_LOCATION]: {
+        label: 'Arrival location',
+        evaluate: ({ location }) => (
+            location
+                ? { passed: true, detail: `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}` }
+                : { passed: false, detail: 'Device location is not available - turn on location services' }
+        )
+    }
+};
+
+/**
+ * Gates from SA Status Gate custom metadata rows ([{ status, check, mode, label }]), keyed by status
+ * Returns null when there are no rows
+ */
+export function buildMetadataGates(rows) {
+    if (!rows?.length) {
+        return null;
+    }
+    return rows.reduce((gates, row) => {
+        gates[row.status] = [...(gates[row.status] || []), { check: row.check, mode: row.mode, label: row.label }];
+        return gates;
+    }, {});
+}
+
+/**
+ * Gates from the statusGates JSON, or the fallback (the metadata gates or the defaults)
+ * Invalid JSON is ignored and reported through the optional onError callback
+ */
+export function resolveStatusGates(gatesJson, onError, fallback = DEFAULT_STATUS_GATES) {
+    if (!gatesJson) {
+        return fallback;
+    }
+    try {
+        const gates = JSON.parse(gatesJson);
+        if (!gates || typeof gates !== 'object' || Array.isArray(gates)) {
+            throw new Error('expected an object keyed by status');
+        }
+        return gates;
+    } catch (error) {
+        if (onError) {
+            onError(`Invalid status gates JSON - using defaults (${error.message})`);
+        }
+        return fallback;
+    }
+}
+
+// Checks configured for a target status that this component knows how to run
+export function gatesFor(gates, status) {
+    return (gates[status] || []).filter(gate => CHECKS[gate.check]);
+}
+
+/**
+ * Evaluate the gates of a target status
+ * Returns { results: [{ check, label, mode, passed, detail, isBlocking }], isBlocked, hasWarnings }
+ */
+export function evaluateGates(gates, status, context) {
+    const results = gatesFor(gates, status).map(gate => {
+        const check = CHECKS[gate.check];
+        const mode = gate.mode === GATE_MODE.WARN ? GATE_MODE.WARN : GATE_MODE.BLOCK;
+        const { passed, detail } = check.evaluate(context);
+        return {
+            check: gate.check,
+            label: gate.label || check.label,
+            mode,
+            passed,
+            detail,
+            isBlocking: !passed && mode === GATE_MODE.BLOCK
+        };
+    });
+
+    return {
+        results,
+        isBlocked: results.some(result => result.isBlocking),
+        hasWarnings: results.some(result => !result.passed && result.mode === GATE_MODE.WARN)
+    };
+}
+
+// Whether a status's gates need the device location
+export function needsLocation(gates, status) {
+    return gatesFor(gates, status).some(gate => gate.check === GATE_CHECK.ARRIVAL_LOCATION);
+}
+
+// Whether a status's gates ask for completion notes
+export function needsNotes(gates, status) {
+    return gatesFor(gates, status).some(gate => gate.check === GATE_CHECK.COMPLETION_NOTES);
+}
@@ -0,0 +1,57 @@
+/**
+ * Where and when each status change happened
+ *
+ * Every status change captures the device location and the device time. The time is taken when the
+ * technician taps, so a change made offline keeps its real time when it syncs later.
+ *   In Progress                - sets ActualStartTime (unless already set)
+ *   Completed, Cannot Complete - sets ActualEndTime
+ * Each change also creates an SA Status History record with the coordinates.
+ */
+
+export const HISTORY_OBJECT = 'SA_Status_History__c';
+
+export const ACTUAL_START_STATUSES = ['In Progress'];
+export const ACTUAL_END_STATUSES = ['Completed', 'Cannot Complete'];
+
+// A location captured this recently (e.g. for the arrival check) is reused rather than taken again
+export const LOCATION_REUSE_MS = 2 * 60 * 1000;
+
+/**
+ * ActualStartTime / ActualEndTime for a status change
+ * appointment: { actualStartTime } - the current values, so a restart does not move the start
+ */
+export function buildActualTimeFields(newStatus, changedAt, appointment) {
+    const fields = {};
+    if (ACTUAL_START_STATUSES.includes(newStatus) && !appointment.actualStartTime) {
+        fields.ActualStartTime = changedAt;
+    }
+    if (ACTUAL_END_STATUSES.includes(newStatus)) {
+        fields.ActualEndTime = changedAt;
+    }
+    return fields;
+}
+
+/**
+ * createRecord input for the SA Status History record of a change
+ * location: { latitude, longitude, accuracy } or null
+ */
+export function buildHistoryRecord(appointmentId, fromStatus, toStatus, changedAt, location, capturedOffline) {
+    const fields = {
+        Service_Appointment__c: appointmentId,
+        From_Status__c: fromStatus,
+        To_Status__c: toStatus,
+        Changed_At__c: changedAt,
+        Captured_Offline__c: !!capturedOffline
+    };
+    if (location) {
+        fields.Location__Latitude__s = location.latitude;
+        fields.Location__Longitude__s = location.longitude;
+        fields.Location_Accuracy__c = location.accuracy != null ? Math.round(location.accuracy * 10) / 10 : null;
+    }
+    return { apiName: HISTORY_OBJECT, fields };
+}
+
+// Whether a location was captured recently enough to stand for this change
+export function isRecentLocation(location, now = Date.now()) {
+    return !!location && now - new Date(location.capturedAt).getTime() <= LOCATION_REUSE_MS;
+}
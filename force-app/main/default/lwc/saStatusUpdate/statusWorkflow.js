@@ -0,0 +1,146 @@
+/**
+ * Service Appointment status workflow - next statuses and their colors and icons
+ *
+ * Transitions come from SAStatusUpdateController.getStatusWorkflow: SA Status Transition custom
+ * metadata, else the Field Service status transitions. A transition's fromStatus is a status or a
+ * StatusCategory, so custom statuses (e.g. "Awaiting Parts") follow the transitions of their category
+ * unless they have their own. When nothing is set up, or the workflow cannot be loaded offline,
+ * DEFAULT_TRANSITIONS applies.
+ *
+ * A blocked (Cannot Complete) appointment moves on only through the reopen flow: its transitions are the
+ * statuses it can be reopened to, else DEFAULT_REOPEN_STATUSES.
+ */
+
+export const WORKFLOW_SOURCE = {
+    CUSTOM_METADATA: 'customMetadata',
+    FIELD_SERVICE: 'fieldService',
+    DEFAULT: 'default'
+};
+
+export const DEFAULT_TRANSITIONS = {
+    'None': ['Scheduled'],
+    'Scheduled': ['Dispatched', 'Travel'],
+    'Dispatched': ['Travel', 'In Progress'],
+    'Travel': ['In Progress'],
+    'In Progress': ['Completed', 'Cannot Complete'],
+    'Completed': [],
+    'Cannot Complete': [],
+    'Canceled': []
+};
+
+export const DEFAULT_REOPEN_STATUSES = ['Dispatched', 'Scheduled'];
+
+// Color and icon per status, then per StatusCategory for statuses not listed
+const STATUS_DISPLAY = {
+    'None': { color: '#706e6b', icon: 'utility:clock' },
+    'Scheduled': { color: '#0070d2', icon: 'utility:event' },
+    'Dispatched': { color: '#ff9a3c', icon: 'utility:routing_offline' },
+    'Travel': { color: '#1589ee', icon: 'utility:travel_and_places' },
+    'In Progress': { color: '#04844b', icon: 'utility:activity' },
+    'Completed': { color: '#2e844a', icon: 'utility:check' },
+    'Cannot Complete': { color: '#c23934', icon: 'utility:close' },
+    'Canceled': { color: '#706e6b', icon: 'utility:ban' }
+};
+
+const CATEGORY_DISPLAY = {
+    'None': STATUS_DISPLAY['None'],
+    'Scheduled': STATUS_DISPLAY['Scheduled'],
+    'Dispatched': STATUS_DISPLAY['Dispatched'],
+    'InProgress': STATUS_DISPLAY['In Progress'],
+    'CheckedIn': STATUS_DISPLAY['In Progress'],
+    'Completed': STATUS_DISPLAY['Completed'],
+    'CannotComplete': STATUS_DISPLAY['Cannot Complete'],
+    'Canceled': STATUS_DISPLAY['Canceled']
+};
+
+const DEFAULT_DISPLAY = { color: '#706e6b', icon: 'utility:forward' };
+
+// Categories an appointment cannot move on from in the field
+const CLOSED_CATEGORIES = ['Completed', 'CannotComplete', 'Canceled'];
+
+/**
+ * Workflow from getStatusWorkflow data, or the default workflow when there is none
+ * Returns { source, statusLabels: Map(value -> label), transitions: [{ fromStatus, toStatus, color, icon }] }
+ */
+export function buildWorkflow(data) {
+    const statusLabels = new Map((data?.statuses || []).map(status => [status.value, status.label]));
+    const transitions = data?.transitions?.length
+        ? data.transitions.map(transition => ({ ...transition }))
+        : defaultTransitions();
+
+    return {
+        source: data?.transitions?.length ? data.source : WORKFLOW_SOURCE.DEFAULT,
+        statusLabels,
+        transitions
+    };
+}
+
+/**
+ * Statuses an appointment can move to from its status, falling back to the transitions of its category
+ * Statuses that are not active values of the Status picklist are left out
+ * Returns [{ value, label, color, icon }]
+ */
+export function nextStatuses(workflow, status, category) {
+    const fromStatus = workflow.transitions.filter(transition => transition.fromStatus === status);
+    const matches = fromStatus.length
+        ? fromStatus
+        : workflow.transitions.filter(transition => category && transition.fromStatus === category);
+
+    const toStatuses = [...new Set(matches.map(transition => transition.toStatus))]
+        .filter(toStatus => !workflow.statusLabels.size || workflow.statusLabels.has(toStatus));
+
+    return toStatuses.map(toStatus => ({
+        value: toStatus,
+        label: workflow.statusLabels.get(toStatus) || toStatus,
+        ...statusDisplay(workflow, toStatus)
+    }));
+}
+
+/**
+ * Color and icon for a status - as configured on a transition to it, else by name, then by its StatusCategory
+ */
+export function statusDisplay(workflow, status, category) {
+    const configured = workflow.transitions.find(transition => transition.toStatus === status && (transition.color || transition.icon)) || {};
+    const display = STATUS_DISPLAY[status] || CATEGORY_DISPLAY[category] || DEFAULT_DISPLAY;
+    return {
+        color: configured.color || display.color,
+        icon: configured.icon || display.icon
+    };
+}
+
+// Completed, Cannot Complete and Canceled appointments - by StatusCategory when known
+export function isClosedStatus(status, category) {
+    if (category) {
+        return CLOSED_CATEGORIES.includes(category);
+    }
+    return ['Completed', 'Cannot Complete', 'Canceled'].includes(status);
+}
+
+// Cannot Complete appointments - by StatusCategory when known
+export function isBlockedStatus(status, category) {
+    return category ? category === 'CannotComplete' : status === 'Cannot Complete';
+}
+
+/**
+ * Statuses a blocked appointment can be reopened to - its configured transitions, else the defaults
+ * Returns [{ value, label, color, icon }]
+ */
+export function reopenStatuses(workflow, status, category) {
+    const configured = nextStatuses(workflow, status, category);
+    if (configured.length) {
+        return configured;
+    }
+    return DEFAULT_REOPEN_STATUSES
+        .filter(toStatus => !workflow.statusLabels.size || workflow.statusLabels.has(toStatus))
+        .map(toStatus => ({
+            value: toStatus,
+            label: workflow.statusLabels.get(toStatus) || toStatus,
+            ...statusDisplay(workflow, toStatus)
+        }));
+}
+
+function defaultTransitions() {
+    return Object.entries(DEFAULT_TRANSITIONS).flatMap(([fromStatus, toStatuses]) => (
+        toStatuses.map(toStatus => ({ fromStatus, toStatus }))
+    ));
+}